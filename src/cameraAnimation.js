@@ -0,0 +1,65 @@
+/**
+ * Camera animation - easing curves and camera state interpolation
+ *
+ * Camera views can carry presentation settings used by view transitions and
+ * "Play Sequence":
+ *   transition: { duration, easing }  how the camera flies INTO the view (seconds)
+ *   hold                              how long a sequence stays on the view (seconds)
+ * A sequence tours the views in their saved order.
+ */
+
+export const EASINGS = {
+  linear: (t) => t,
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3)
+};
+
+export const DEFAULT_TRANSITION = { duration: 1.2, easing: 'easeInOutCubic' };
+export const DEFAULT_HOLD = 2;
+
+// Scalar camera view fields that blend during a transition
+const LERP_FIELDS = ['zoom', 'fov', 'near', 'far', 'roll'];
+const lerp = (a, b, t) => a + (b - a) * t;
+
+export function ease(easing, t) {
+  return (EASINGS[easing] || EASINGS[DEFAULT_TRANSITION.easing])(Math.min(Math.max(t, 0), 1));
+}
+
+/**
+ * Camera state between two views (t = 0..1, already eased).
+ * Fields missing on either side are taken from the other.
+ */
+export function interpolateCameraState(from, to, t) {
+  const state = { ...from, ...to };
+  ['position', 'target'].forEach(key => {
+    if (!from[key] || !to[key]) return;
+    state[key] = {
+      x: lerp(from[key].x, to[key].x, t),
+      y: lerp(from[key].y, to[key].y, t),
+      z: lerp(from[key].z, to[key].z, t)
+    };
+  });
+  LERP_FIELDS.forEach(key => {
+    if (typeof from[key] === 'number' && typeof to[key] === 'number') {
+      state[key] = lerp(from[key], to[key], t);
+    }
+  });
+  return state;
+}
+
+/**
+ * Steps of a sequence through the views, in the order of `names` (the scene's
+ * cameraViewOrder): [{ name, view, transition, hold }]
+ */
+export function sequenceSteps(cameraViews, names = Object.keys(cameraViews || {})) {
+  return names
+    .map(name => [name, cameraViews?.[name]])
+    .filter(([, view]) => view)
+    .map(([name, view]) => ({
+      name,
+      view,
+      transition: { ...DEFAULT_TRANSITION, ...view.transition },
+      hold: view.hold ?? DEFAULT_HOLD
+    }));
+}
@@ -0,0 +1,27 @@
+/**
+ * Camera lens - field of view, clip planes and roll for camera views
+ *
+ * Views store the vertical FOV in degrees. Focal lengths use the full-frame
+ * (36 x 24 mm) convention photographers know, so 50 mm is a "normal" lens.
+ * Views saved before lenses existed get today's fixed camera: 80 deg, 0.1 - 1000.
+ */
+
+export const DEFAULT_LENS = { fov: 80, near: 0.1, far: 1000, roll: 0 };
+export const FOCAL_LENGTH_PRESETS = [24, 35, 50, 85];
+
+const SENSOR_HEIGHT_MM = 24;
+
+export function focalLengthToFov(mm) {
+  return 2 * Math.atan(SENSOR_HEIGHT_MM / (2 * mm)) * 180 / Math.PI;
+}
+
+export function fovToFocalLength(fov) {
+  return SENSOR_HEIGHT_MM / (2 * Math.tan(fov * Math.PI / 360));
+}
+
+/**
+ * A saved view as a full camera state (missing lens fields take the defaults).
+ */
+export function withLensDefaults(view) {
+  return view ? { ...DEFAULT_LENS, ...view } : view;
+}
@@ -0,0 +1,78 @@
+/**
+ * Camera navigation - walk and chase modes next to the default orbit
+ *
+ * Walk: first person at eye height, WASD to move, mouse to look, Shift to sprint.
+ * Chase: trails the car from behind at spoiler height, with a smoothed lag.
+ * In every mode the camera looks at a target point, so switching back to orbit
+ * (OrbitControls orbits around controls.target) continues from the same view.
+ */
+
+import * as THREE from 'three';
+
+export const CAMERA_MODES = ['orbit', 'walk', 'chase'];
+export const DEFAULT_CAMERA_MODE = 'orbit';
+
+export const WALK = {
+  eyeHeight: 1.7,
+  speed: 4,  // m/s
+  sprintSpeed: 10,
+  lookSensitivity: 0.002,  // radians per pixel of mouse movement
+  lookDistance: 10  // How far ahead the target is kept (the orbit pivot after switching back)
+};
+
+export const CHASE = {
+  distance: 6,  // Behind the car
+  heightOffset: 0.2,  // Above the spoiler
+  lookAhead: 4,
+  stiffness: 4  // Higher = less lag
+};
+
+const MAX_PITCH = 1.4;
+
+/**
+ * One frame of walking. `look` is the mouse movement since the last frame,
+ * `move` is { forward, right } in -1..1. Returns the new { position, direction }
+ * (y of the position is left to the caller, which keeps it above the ground).
+ */
+export function walkStep(position, target, { look, move, sprint }, dt) {
+  const dir = target.clone().sub(position).normalize();
+  const yaw = Math.atan2(dir.x, dir.z) - look.x * WALK.lookSensitivity;
+  const pitch = THREE.MathUtils.clamp(
+    Math.asin(THREE.MathUtils.clamp(dir.y, -1, 1)) - look.y * WALK.lookSensitivity,
+    -MAX_PITCH, MAX_PITCH
+  );
+  dir.set(Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), Math.cos(yaw) * Math.cos(pitch));
+
+  // Move on the ground plane, whatever the pitch
+  const forward = new THREE.Vector3(Math.sin(yaw), 0, Math.cos(yaw));
+  const right = new THREE.Vector3(-forward.z, 0, forward.x);
+  const step = forward.multiplyScalar(move.forward).addScaledVector(right, move.right);
+  if (step.lengthSq() > 0) {
+    step.normalize().multiplyScalar((sprint ? WALK.sprintSpeed : WALK.speed) * dt);
+  }
+
+  return { position: position.clone().add(step), direction: dir };
+}
+
+/**
+ * Where the chase camera wants to be for a car: { position, target }.
+ * The car model faces +Z; `spoilerTop` is the world height of its spoiler.
+ */
+export function chaseGoal(car, spoilerTop) {
+  const carPosition = car.getWorldPosition(new THREE.Vector3());
+  const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(car.getWorldQuaternion(new THREE.Quaternion()));
+  forward.y = 0;
+  if (forward.lengthSq() < 1e-6) forward.set(0, 0, 1);
+  forward.normalize();
+
+  const position = carPosition.clone().addScaledVector(forward, -CHASE.distance);
+  position.y = spoilerTop + CHASE.heightOffset;
+  const target = carPosition.clone().addScaledVector(forward, CHASE.lookAhead);
+  target.y = spoilerTop;
+  return { position, target };
+}
+
+// Frame-rate independent smoothing factor for the chase lag
+export function chaseBlend(dt) {
+  return 1 - Math.exp(-CHASE.stiffness * dt);
+}
@@ -0,0 +1,78 @@
+/**
+ * Camera projection - perspective or orthographic, and the orthographic presets
+ *
+ * The viewer keeps one camera of each type and swaps which one is live; views
+ * store `projection` so a saved plan or isometric shot comes back flat.
+ * The orthographic frustum is ORTHO_VIEW_HEIGHT meters tall at zoom 1 and
+ * `camera.zoom` scales it.
+ */
+
+import * as THREE from 'three';
+
+export const PROJECTIONS = ['perspective', 'orthographic'];
+export const DEFAULT_PROJECTION = 'perspective';
+
+export const ORTHO_VIEW_HEIGHT = 40;
+const ORTHO_DISTANCE = 60;  // Camera distance from the target (orthographic renders have no fog, see setupScene)
+const ORTHO_DOLLY_RATE = 0.2;  // Zoom factor per unit of dolly, so wheel/keys feel like perspective
+
+/**
+ * Directions from the target to the camera.
+ * Plan looks straight down (nudged off the pole so OrbitControls keeps a heading);
+ * isometric is the classic (1, 1, 1): 45 deg around, 35.26 deg down.
+ */
+export const ORTHO_PRESETS = {
+  plan: { label: 'Plan', direction: new THREE.Vector3(0, 1, 1e-4).normalize() },
+  isometric: { label: 'Isometric', direction: new THREE.Vector3(1, 1, 1).normalize() }
+};
+
+export function createOrthographicCamera(aspect) {
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+  updateOrthographicFrustum(camera, aspect);
+  return camera;
+}
+
+export function updateOrthographicFrustum(camera, aspect) {
+  const halfHeight = ORTHO_VIEW_HEIGHT / 2;
+  camera.top = halfHeight;
+  camera.bottom = -halfHeight;
+  camera.left = -halfHeight * aspect;
+  camera.right = halfHeight * aspect;
+  camera.updateProjectionMatrix();
+}
+
+/**
+ * Orthographic zoom that shows the same height at the target as a perspective
+ * camera `distance` away with vertical `fov` (degrees).
+ */
+export function matchingOrthoZoom(fov, distance) {
+  const visibleHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+  return ORTHO_VIEW_HEIGHT / Math.max(visibleHeight, 1e-3);
+}
+
+// Orthographic zoom that fits a sphere of `radius` in view (portrait views are limited by their width)
+export function fitOrthoZoom(radius, aspect = 1) {
+  return ORTHO_VIEW_HEIGHT * Math.min(aspect, 1) / (2 * Math.max(radius, 1));
+}
+
+/**
+ * Camera state ({ position, target, zoom, projection }) for a preset looking at
+ * `target`, zoomed to fit `radius` meters around it.
+ */
+export function orthoPresetState(name, target, radius) {
+  const preset = ORTHO_PRESETS[name];
+  const position = target.clone().addScaledVector(preset.direction, ORTHO_DISTANCE);
+  return {
+    position: { x: position.x, y: position.y, z: position.z },
+    target: { x: target.x, y: target.y, z: target.z },
+    zoom: fitOrthoZoom(radius),
+    projection: 'orthographic',
+    roll: 0,
+    mode: 'orbit'
+  };
+}
+
+// Orthographic cameras can't dolly (moving along the view axis changes nothing), so they zoom
+export function orthoDollyZoom(zoom, amount) {
+  return zoom * Math.exp(amount * ORTHO_DOLLY_RATE);
+}
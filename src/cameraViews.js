@@ -0,0 +1,127 @@
+/**
+ * Camera views - ordering helpers and global bookmarks
+ *
+ * A scene's views are a { name: view } object plus a separate list of names,
+ * `cameraViewOrder`, which is the list order (and the Play Sequence order).
+ * Object key order can't be used for that: JavaScript always lists
+ * integer-like keys ("1", "10") first, in ascending order.
+ *
+ * Bookmarks are views that belong to the browser rather than a scene: standard
+ * angles (e.g. on the car) that should be at hand in every scene. They have
+ * the same shape as scene views and are kept in localStorage, like the keymap,
+ * as a [{ name, view }] list so their order survives too.
+ */
+
+import { normalizeCameraViewMap } from './sceneSchema.js';
+
+const STORAGE_KEY = 'lowpoly_camera_bookmarks';
+
+/**
+ * Names of `views` in list order: those in `order` first, then any it misses.
+ */
+export function orderedViewNames(views, order = []) {
+  const names = order.filter((name, i) => name in views && order.indexOf(name) === i);
+  Object.keys(views).forEach(name => { if (!names.includes(name)) names.push(name); });
+  return names;
+}
+
+/**
+ * Same order with one name renamed, keeping its place.
+ */
+export function renameView(order, from, to) {
+  return order.map(name => (name === from ? to : name));
+}
+
+/**
+ * Same order with one name moved to `index` (counted in the list without it).
+ */
+export function moveView(order, name, index) {
+  const names = order.filter(key => key !== name);
+  names.splice(Math.max(0, Math.min(index, names.length)), 0, name);
+  return names;
+}
+
+// Views object with one key renamed (the object's own key order doesn't matter)
+export function renameViewKey(views, from, to) {
+  const { [from]: view, ...rest } = views;
+  return { ...rest, [to]: view };
+}
+
+export class CameraBookmarks {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.order = [];
+    this.views = this.load();
+  }
+
+  // Also accepts the first format, a { name: view } object
+  load() {
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+      const entries = Array.isArray(stored)
+        ? stored.filter(entry => typeof entry?.name === 'string').map(entry => [entry.name, entry.view])
+        : Object.entries(stored ?? {});
+      const { views, issues } = normalizeCameraViewMap(Object.fromEntries(entries));
+      issues.forEach(issue => console.warn(`Camera bookmarks: ${issue}`));
+      this.order = orderedViewNames(views, entries.map(([name]) => name));
+      return views;
+    } catch (err) {
+      console.warn('Ignoring unreadable camera bookmarks:', err.message);
+      return {};
+    }
+  }
+
+  // Returns false if the browser refused (e.g. storage full)
+  save() {
+    try {
+      if (this.order.length > 0) {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.order.map(name => ({ name, view: this.views[name] }))));
+      } else {
+        this.storage.removeItem(STORAGE_KEY);
+      }
+      return true;
+    } catch (err) {
+      console.warn('Could not save camera bookmarks:', err.message);
+      return false;
+    }
+  }
+
+  names() {
+    return [...this.order];
+  }
+
+  get(name) {
+    return this.views[name] || null;
+  }
+
+  // Changes are undone in memory when they can't be stored, so the list shows what is saved
+  set(name, view) {
+    return this.change(() => {
+      if (!(name in this.views)) this.order.push(name);
+      this.views[name] = view;
+    });
+  }
+
+  remove(name) {
+    return this.change(() => {
+      delete this.views[name];
+      this.order = this.order.filter(key => key !== name);
+    });
+  }
+
+  rename(from, to) {
+    return this.change(() => {
+      this.views = renameViewKey(this.views, from, to);
+      this.order = renameView(this.order, from, to);
+    });
+  }
+
+  change(apply) {
+    const previous = { views: { ...this.views }, order: [...this.order] };
+    apply();
+    if (this.save()) return true;
+    this.views = previous.views;
+    this.order = previous.order;
+    return false;
+  }
+}
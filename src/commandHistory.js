@@ -0,0 +1,93 @@
+/**
+ * Command history - undo/redo stack of named editor commands
+ *
+ * A command is { label, undo(), redo(), dispose?(applied), objects? }. Commands
+ * are recorded after they have been applied; undo()/redo() move a cursor through
+ * the list so the history panel can jump to any step. dispose() is called when
+ * a command leaves the history (falls off the end, is discarded from the redo
+ * branch, or is dropped with discard()) with `applied` telling whether its
+ * effect is still in the scene, so commands holding removed objects can free
+ * their GPU memory. `objects` lists the scene objects a command acts on, so
+ * discard() can drop the commands that would bring back replaced objects.
+ */
+
+export class CommandHistory {
+  constructor(limit = 50) {
+    this.limit = limit;
+    this.commands = [];
+    this.cursor = 0;  // Number of commands currently applied
+    this.onChange = null;
+  }
+
+  // Record an already-applied command (drops any redo branch)
+  record(command) {
+    this.commands.splice(this.cursor).forEach(c => c.dispose?.(false));
+    this.commands.push(command);
+
+    // Limit history size
+    if (this.commands.length > this.limit) {
+      this.commands.shift().dispose?.(true);
+    }
+    this.cursor = this.commands.length;
+    this.notify();
+  }
+
+  canUndo() {
+    return this.cursor > 0;
+  }
+
+  canRedo() {
+    return this.cursor < this.commands.length;
+  }
+
+  undo() {
+    if (!this.canUndo()) return null;
+    const command = this.commands[--this.cursor];
+    command.undo();
+    this.notify();
+    return command;
+  }
+
+  redo() {
+    if (!this.canRedo()) return null;
+    const command = this.commands[this.cursor++];
+    command.redo();
+    this.notify();
+    return command;
+  }
+
+  // Undo/redo until exactly `index` commands are applied
+  jumpTo(index) {
+    index = Math.max(0, Math.min(index, this.commands.length));
+    while (this.cursor > index) {
+      this.commands[--this.cursor].undo();
+    }
+    while (this.cursor < index) {
+      this.commands[this.cursor++].redo();
+    }
+    this.notify();
+  }
+
+  // Drop every command matching `predicate` (e.g. ones holding objects that were
+  // regenerated); the rest keep their order and applied state
+  discard(predicate) {
+    const dropped = this.commands.filter(predicate);
+    if (dropped.length === 0) return;
+    dropped.forEach(c => c.dispose?.(this.commands.indexOf(c) < this.cursor));
+    this.cursor -= this.commands.slice(0, this.cursor).filter(c => dropped.includes(c)).length;
+    this.commands = this.commands.filter(c => !dropped.includes(c));
+    this.notify();
+  }
+
+  clear() {
+    // Applied commands keep their objects in the scene; only the redo branch is discarded
+    this.commands.forEach((c, i) => c.dispose?.(i < this.cursor));
+    this.commands = [];
+    this.cursor = 0;
+    this.notify();
+  }
+
+  notify() {
+    if (this.onChange) this.onChange(this);
+  }
+}
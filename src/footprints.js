@@ -0,0 +1,143 @@
+/**
+ * Footprints - ground-plane rectangles for overlap checks
+ *
+ * A footprint is the object's bounding box seen from above, turned with the
+ * object's heading: { center: {x, z}, axes: [x axis, z axis], half: [hx, hz] }.
+ * Buildings and props stand upright, so only the rotation around Y matters.
+ *
+ * Roads are checked against grid cells (the same "x,z" keys as the road
+ * generators' occupiedCells), so a building is on the road when a road cell
+ * center lies inside its footprint.
+ */
+
+import * as THREE from 'three';
+
+// Objects that only just touch (e.g. snapped with no setback) don't count
+const OVERLAP_TOLERANCE = 0.05;
+
+const _box = new THREE.Box3();
+const _size = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+
+/**
+ * Unrotated extents of an object, cached until its scale changes.
+ */
+function footprintExtents(object) {
+  const scaleKey = `${object.scale.x},${object.scale.y},${object.scale.z}`;
+  const cached = object.userData.footprintExtents;
+  if (cached && cached.scaleKey === scaleKey) return cached;
+
+  const quaternion = object.quaternion.clone();
+  object.quaternion.identity();
+  object.updateMatrixWorld(true);
+  _box.setFromObject(object);
+  object.quaternion.copy(quaternion);
+  object.updateMatrixWorld(true);
+  if (_box.isEmpty()) return null;
+
+  _box.getSize(_size);
+  _box.getCenter(_center);
+  const extents = {
+    scaleKey,
+    offsetX: _center.x - object.position.x,
+    offsetZ: _center.z - object.position.z,
+    halfX: _size.x / 2,
+    halfZ: _size.z / 2
+  };
+  object.userData.footprintExtents = extents;
+  return extents;
+}
+
+/**
+ * Footprint of an object at its current position and heading, or null if it has no geometry.
+ */
+export function computeFootprint(object) {
+  const extents = footprintExtents(object);
+  if (!extents) return null;
+
+  _forward.set(0, 0, 1).applyQuaternion(object.quaternion);
+  const yaw = Math.atan2(_forward.x, _forward.z);
+  const cos = Math.cos(yaw);
+  const sin = Math.sin(yaw);
+  const axisX = { x: cos, z: -sin };
+  const axisZ = { x: sin, z: cos };
+
+  return {
+    center: {
+      x: object.position.x + extents.offsetX * axisX.x + extents.offsetZ * axisZ.x,
+      z: object.position.z + extents.offsetX * axisX.z + extents.offsetZ * axisZ.z
+    },
+    axes: [axisX, axisZ],
+    half: [extents.halfX, extents.halfZ]
+  };
+}
+
+// Half the footprint's length along an axis
+function projectRadius(footprint, axis) {
+  return footprint.axes.reduce((sum, a, i) =>
+    sum + Math.abs(a.x * axis.x + a.z * axis.z) * footprint.half[i], 0);
+}
+
+/**
+ * Separating axis test between two footprints.
+ */
+export function footprintsOverlap(a, b) {
+  const dx = b.center.x - a.center.x;
+  const dz = b.center.z - a.center.z;
+  return [...a.axes, ...b.axes].every(axis => {
+    const distance = Math.abs(dx * axis.x + dz * axis.z);
+    return distance < projectRadius(a, axis) + projectRadius(b, axis) - OVERLAP_TOLERANCE;
+  });
+}
+
+/**
+ * Grid cells whose center lies on a road, from roadSnap segments.
+ * Keys match LowPolyViewer.cellKey(): `${Math.round(x / cellSize)},${Math.round(z / cellSize)}`.
+ */
+export function roadCells(segments, cellSize) {
+  const cells = new Set();
+  segments.forEach(({ start, end, dir, length, halfWidth }) => {
+    const minX = Math.floor((Math.min(start.x, end.x) - halfWidth) / cellSize);
+    const maxX = Math.ceil((Math.max(start.x, end.x) + halfWidth) / cellSize);
+    const minZ = Math.floor((Math.min(start.z, end.z) - halfWidth) / cellSize);
+    const maxZ = Math.ceil((Math.max(start.z, end.z) + halfWidth) / cellSize);
+
+    for (let gx = minX; gx <= maxX; gx++) {
+      for (let gz = minZ; gz <= maxZ; gz++) {
+        const px = gx * cellSize - start.x;
+        const pz = gz * cellSize - start.z;
+        const along = px * dir.x + pz * dir.z;
+        const across = px * dir.z - pz * dir.x;
+        if (along >= 0 && along <= length && Math.abs(across) <= halfWidth) {
+          cells.add(`${gx},${gz}`);
+        }
+      }
+    }
+  });
+  return cells;
+}
+
+/**
+ * True if any of the cells has its center inside the footprint.
+ */
+export function footprintOnCells(footprint, cells, cellSize) {
+  const extentX = projectRadius(footprint, { x: 1, z: 0 });
+  const extentZ = projectRadius(footprint, { x: 0, z: 1 });
+  const minX = Math.ceil((footprint.center.x - extentX) / cellSize);
+  const maxX = Math.floor((footprint.center.x + extentX) / cellSize);
+  const minZ = Math.ceil((footprint.center.z - extentZ) / cellSize);
+  const maxZ = Math.floor((footprint.center.z + extentZ) / cellSize);
+
+  for (let gx = minX; gx <= maxX; gx++) {
+    for (let gz = minZ; gz <= maxZ; gz++) {
+      if (!cells.has(`${gx},${gz}`)) continue;
+      const dx = gx * cellSize - footprint.center.x;
+      const dz = gz * cellSize - footprint.center.z;
+      const inside = footprint.axes.every((axis, i) =>
+        Math.abs(dx * axis.x + dz * axis.z) < footprint.half[i] - OVERLAP_TOLERANCE);
+      if (inside) return true;
+    }
+  }
+  return false;
+}
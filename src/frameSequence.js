@@ -0,0 +1,113 @@
+/**
+ * Frame sequences - deterministic camera paths for turntables and flythroughs
+ *
+ * A path is a duration plus stateAt(time) -> camera state. Frames are taken at
+ * a fixed timestep (frame i is at i / fps), so the same path, fps and size
+ * always give the same frames however slowly the machine renders them.
+ *
+ * Paths:
+ *   orbit  one turn around a center, keeping the camera's height and distance
+ *   views  the saved views in order, with their transitions and hold times
+ *          (the same timing as Play Sequence)
+ *
+ * Every frame stays in memory until the ZIP is downloaded (twice with WebM,
+ * which replays the PNGs), so exports are capped at MAX_FRAME_EXPORT_BYTES.
+ */
+
+import { ease, interpolateCameraState } from './cameraAnimation.js';
+
+export const FRAME_PATHS = {
+  orbit: { label: 'Orbit around selection' },
+  views: { label: 'Saved camera views' }
+};
+
+export const DEFAULT_FRAME_EXPORT = {
+  path: 'orbit',
+  fps: 30,
+  duration: 6,  // seconds (orbit; the views path takes its length from the views)
+  width: 1920,
+  height: 1080,
+  webm: false
+};
+
+export const MAX_FRAMES = 3600;
+
+// The ZIP has no Zip64 records (4 GB at most), and browsers struggle long before that
+export const MAX_FRAME_EXPORT_BYTES = 2 * 1024 ** 3;
+const PNG_BYTES_PER_PIXEL = 2;  // Typical rendered frame; flat colors compress better, noisy skies worse
+
+/**
+ * Orbit path: one full turn around `center` (a Vector3), starting from `position`.
+ */
+export function orbitPath(center, position, duration) {
+  const offsetX = position.x - center.x;
+  const offsetZ = position.z - center.z;
+  return {
+    duration,
+    stateAt(time) {
+      const angle = 2 * Math.PI * (time / duration);
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      return {
+        position: {
+          x: center.x + offsetX * cos + offsetZ * sin,
+          y: position.y,
+          z: center.z - offsetX * sin + offsetZ * cos
+        },
+        target: { x: center.x, y: center.y, z: center.z }
+      };
+    }
+  };
+}
+
+/**
+ * Views path from sequenceSteps(). The first view is shown straight away (no
+ * transition into it), then each step flies in and holds.
+ */
+export function viewSequencePath(steps) {
+  const segments = [];
+  let time = 0;
+  steps.forEach((step, i) => {
+    const transition = i === 0 ? 0 : step.transition.duration;
+    segments.push({ start: time, transition, end: time + transition + step.hold, step, previous: steps[i - 1] });
+    time += transition + step.hold;
+  });
+
+  return {
+    duration: time,
+    stateAt(t) {
+      const segment = segments.find(s => t < s.end) || segments[segments.length - 1];
+      const local = t - segment.start;
+      if (local >= segment.transition) return segment.step.view;
+      const progress = ease(segment.step.transition.easing, local / segment.transition);
+      return interpolateCameraState(segment.previous.view, segment.step.view, progress);
+    }
+  };
+}
+
+export function frameCount(duration, fps) {
+  return Math.max(1, Math.round(duration * fps));
+}
+
+// Memory a whole export is expected to hold: the PNGs, plus a second copy for WebM
+export function estimateFrameExportBytes(width, height, count, webm = false) {
+  return width * height * PNG_BYTES_PER_PIXEL * count * (webm ? 2 : 1);
+}
+
+export function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  return `${Math.max(1, Math.round(bytes / 1024 ** 2))} MB`;
+}
+
+// frame_0001.png ... (at least four digits, so files sort in order)
+export function frameFileName(index, count) {
+  const digits = Math.max(4, String(count).length);
+  return `frame_${String(index + 1).padStart(digits, '0')}.png`;
+}
+
+// Best WebM codec this browser's MediaRecorder can write, or null
+export function webmMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
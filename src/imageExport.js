@@ -0,0 +1,130 @@
+/**
+ * Image export - screenshots larger than the canvas
+ *
+ * The picture is rendered in tiles: each tile is the same camera with
+ * setViewOffset() narrowed to one piece of the full frame, rendered into an
+ * offscreen target and copied into a 2D canvas of the final size. That gets
+ * past both the window size and the GPU's maximum render-target size.
+ *
+ * Render targets skip the renderer's tone mapping and sRGB output, so every
+ * tile goes through an OutputPass to look like the live view. The pass keeps
+ * alpha, which is what makes transparent backgrounds work.
+ */
+
+import * as THREE from 'three';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+
+// Long side of the image, in pixels
+export const IMAGE_SIZE_PRESETS = {
+  hd: { label: 'Full HD', longSide: 1920 },
+  '4k': { label: '4K', longSide: 3840 },
+  '8k': { label: '8K', longSide: 7680 }
+};
+
+// width / height; 'window' follows the viewport
+export const ASPECT_PRESETS = {
+  window: { label: 'Window' },
+  '16:9': { label: '16:9', ratio: 16 / 9 },
+  '3:2': { label: '3:2', ratio: 3 / 2 },
+  '4:3': { label: '4:3', ratio: 4 / 3 },
+  '1:1': { label: '1:1', ratio: 1 },
+  '9:16': { label: '9:16 (portrait)', ratio: 9 / 16 },
+  '21:9': { label: '21:9', ratio: 21 / 9 }
+};
+
+// Browsers refuse 2D canvases much bigger than this (Chrome: 16384 x 16384 pixels in area)
+export const MAX_IMAGE_SIDE = 16384;
+export const MAX_IMAGE_PIXELS = 16384 * 16384;
+export const IMAGE_TILE_SIZE = 2048;
+
+/**
+ * Width and height for a long side and an aspect ratio.
+ */
+export function imageSize(longSide, ratio) {
+  return ratio >= 1
+    ? { width: longSide, height: Math.round(longSide / ratio) }
+    : { width: Math.round(longSide * ratio), height: longSide };
+}
+
+// Why a size can't be exported, or null if it can
+export function imageSizeError(width, height) {
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    return 'Width and height must be whole numbers of pixels';
+  }
+  if (width > MAX_IMAGE_SIDE || height > MAX_IMAGE_SIDE || width * height > MAX_IMAGE_PIXELS) {
+    return `Too large: the browser can't hold more than ${MAX_IMAGE_SIDE} x ${MAX_IMAGE_SIDE} pixels`;
+  }
+  return null;
+}
+
+/**
+ * The frame split into tiles of at most tileSize x tileSize, left to right, top to bottom
+ * (x / y measured from the top-left, like setViewOffset and the 2D canvas).
+ */
+export function imageTiles(width, height, tileSize) {
+  const tiles = [];
+  for (let y = 0; y < height; y += tileSize) {
+    for (let x = 0; x < width; x += tileSize) {
+      tiles.push({ x, y, width: Math.min(tileSize, width - x), height: Math.min(tileSize, height - y) });
+    }
+  }
+  return tiles;
+}
+
+// readRenderTargetPixels() rows start at the bottom; ImageData rows start at the top
+function flippedImageData(pixels, width, height) {
+  const image = new ImageData(width, height);
+  const rowLength = width * 4;
+  for (let row = 0; row < height; row++) {
+    const from = (height - 1 - row) * rowLength;
+    image.data.set(pixels.subarray(from, from + rowLength), row * rowLength);
+  }
+  return image;
+}
+
+/**
+ * Render `camera`'s view at width x height into a new canvas. The camera must
+ * already have the image's aspect ratio. With `transparent`, pixels the scene
+ * doesn't cover stay transparent (clear the scene's background first).
+ */
+export function renderImageTiles(renderer, scene, camera, { width, height, transparent = false }) {
+  const tileSize = Math.min(IMAGE_TILE_SIZE, renderer.capabilities.maxTextureSize);
+  const sceneTarget = new THREE.WebGLRenderTarget(tileSize, tileSize, { type: THREE.HalfFloatType, samples: 4 });
+  const outputTarget = new THREE.WebGLRenderTarget(tileSize, tileSize);
+  const outputPass = new OutputPass();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+
+  const previousTarget = renderer.getRenderTarget();
+  const clearColor = renderer.getClearColor(new THREE.Color());
+  const clearAlpha = renderer.getClearAlpha();
+  if (transparent) renderer.setClearColor(0x000000, 0);
+
+  try {
+    imageTiles(width, height, tileSize).forEach(tile => {
+      sceneTarget.setSize(tile.width, tile.height);
+      outputTarget.setSize(tile.width, tile.height);
+      camera.setViewOffset(width, height, tile.x, tile.y, tile.width, tile.height);
+
+      renderer.setRenderTarget(sceneTarget);
+      renderer.clear();
+      renderer.render(scene, camera);
+      outputPass.render(renderer, outputTarget, sceneTarget);
+
+      const pixels = new Uint8Array(tile.width * tile.height * 4);
+      renderer.readRenderTargetPixels(outputTarget, 0, 0, tile.width, tile.height, pixels);
+      context.putImageData(flippedImageData(pixels, tile.width, tile.height), tile.x, tile.y);
+    });
+  } finally {
+    camera.clearViewOffset();
+    renderer.setRenderTarget(previousTarget);
+    renderer.setClearColor(clearColor, clearAlpha);
+    sceneTarget.dispose();
+    outputTarget.dispose();
+    outputPass.dispose();
+  }
+  return canvas;
+}
@@ -0,0 +1,159 @@
+/**
+ * Keymap - editor actions and the keys that trigger them
+ *
+ * Actions are registered once with their default keys. A key is a combo
+ * string built from KeyboardEvent.code plus modifiers, e.g. "Ctrl+Shift+KeyZ".
+ * Users can remap actions; only the differences from the defaults are saved,
+ * per browser, so new default shortcuts still show up after an update.
+ */
+
+const STORAGE_KEY = 'lowpoly_keymap';
+const MODIFIER_CODES = new Set([
+  'ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight',
+  'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'
+]);
+
+const KEY_NAMES = {
+  Escape: 'Esc', Period: '.', Comma: ',', Slash: '/', Equal: '=', Minus: '-',
+  NumpadAdd: 'Num +', NumpadSubtract: 'Num -', Backquote: '`', Space: 'Space',
+  BracketLeft: '[', BracketRight: ']', Semicolon: ';', Quote: "'", Backslash: '\\'
+};
+
+/**
+ * Combo string for a keydown event, or null for a lone modifier key.
+ */
+export function comboFromEvent(event) {
+  if (MODIFIER_CODES.has(event.code)) return null;
+  const parts = [];
+  if (event.ctrlKey) parts.push('Ctrl');
+  if (event.metaKey) parts.push('Meta');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey) parts.push('Shift');
+  parts.push(event.code);
+  return parts.join('+');
+}
+
+/**
+ * Human-readable combo, e.g. "Ctrl+Shift+KeyZ" -> "Ctrl+Shift+Z", "Shift+Slash" -> "?".
+ */
+export function formatCombo(combo) {
+  if (combo === 'Shift+Slash') return '?';
+  return combo.split('+').map(part => {
+    if (KEY_NAMES[part]) return KEY_NAMES[part];
+    return part.replace(/^(Key|Digit)/, '');
+  }).join('+');
+}
+
+export class Keymap {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.actions = new Map();  // id -> { id, label, group, defaults, keys, run, preventDefault }
+    this.overrides = this.loadOverrides();
+  }
+
+  loadOverrides() {
+    try {
+      const data = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+      return data && typeof data === 'object' ? data : {};
+    } catch (err) {
+      console.warn('Ignoring unreadable saved keymap:', err.message);
+      return {};
+    }
+  }
+
+  saveOverrides() {
+    try {
+      if (Object.keys(this.overrides).length > 0) {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(this.overrides));
+      } else {
+        this.storage.removeItem(STORAGE_KEY);
+      }
+    } catch (err) {
+      console.warn('Could not save keymap:', err.message);
+    }
+  }
+
+  register(id, { label, group = 'General', keys = [], run, preventDefault = false }) {
+    const saved = this.overrides[id];
+    const action = {
+      id,
+      label,
+      group,
+      defaults: [...keys],
+      keys: Array.isArray(saved) ? saved.filter(k => typeof k === 'string') : [...keys],
+      run,
+      preventDefault
+    };
+    this.actions.set(id, action);
+    return action;
+  }
+
+  // Combos bound to more than one action: [{ combo, actions: [id, ...] }]
+  findConflicts() {
+    const byCombo = new Map();
+    this.actions.forEach(action => {
+      action.keys.forEach(combo => {
+        if (!byCombo.has(combo)) byCombo.set(combo, []);
+        byCombo.get(combo).push(action.id);
+      });
+    });
+    return [...byCombo]
+      .filter(([, ids]) => ids.length > 1)
+      .map(([combo, actions]) => ({ combo, actions }));
+  }
+
+  actionFor(combo) {
+    for (const action of this.actions.values()) {
+      if (action.keys.includes(combo)) return action;
+    }
+    return null;
+  }
+
+  /**
+   * Bind an action to a single combo. If another action already uses it, nothing
+   * changes and that action is returned, unless `replace` is set - then the combo
+   * moves over to this action.
+   */
+  bind(id, combo, { replace = false } = {}) {
+    const action = this.actions.get(id);
+    if (!action) throw new Error(`Unknown action: ${id}`);
+
+    const owner = this.actionFor(combo);
+    if (owner && owner !== action) {
+      if (!replace) return { conflict: owner };
+      this.setKeys(owner, owner.keys.filter(k => k !== combo));
+    }
+    this.setKeys(action, [combo]);
+    return { conflict: null };
+  }
+
+  reset(id = null) {
+    const actions = id ? [this.actions.get(id)] : [...this.actions.values()];
+    actions.filter(Boolean).forEach(action => this.setKeys(action, action.defaults));
+  }
+
+  setKeys(action, keys) {
+    action.keys = [...keys];
+    const isDefault = keys.length === action.defaults.length && keys.every((k, i) => k === action.defaults[i]);
+    if (isDefault) {
+      delete this.overrides[action.id];
+    } else {
+      this.overrides[action.id] = action.keys;
+    }
+    this.saveOverrides();
+  }
+
+  isCustomized(id) {
+    return id in this.overrides;
+  }
+
+  // Run the action bound to a keydown event. Returns true if one ran.
+  handle(event) {
+    const combo = comboFromEvent(event);
+    const action = combo && this.actionFor(combo);
+    if (!action) return false;
+    if (action.preventDefault) event.preventDefault();
+    action.run(event);
+    return true;
+  }
+}
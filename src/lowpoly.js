@@ -24,6 +24,26 @@ import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { Zip, ZipPassThrough } from 'fflate';
+import { SCENE_SCHEMA_VERSION, GROUND_GRID_SIZE_RANGE, normalizeSceneState, normalizeSceneMap } from './sceneSchema.js';
+import { openSceneStore } from './sceneStorage.js';
+import { CommandHistory } from './commandHistory.js';
+import { encodeSceneForURL, decodeSceneFromURL } from './sceneCodec.js';
+import { createSceneFile, parseSceneFile, sceneFileName, uniqueSceneName } from './sceneFile.js';
+import { CameraBookmarks, orderedViewNames, renameView, moveView, renameViewKey } from './cameraViews.js';
+import { createObjectClipboard, parseObjectClipboard } from './objectClipboard.js';
+import { buildRoadSegments, objectHalfDepth, snapToRoad } from './roadSnap.js';
+import { computeFootprint, footprintsOverlap, footprintOnCells, roadCells } from './footprints.js';
+import { Keymap, comboFromEvent, formatCombo } from './keymap.js';
+import { EASINGS, DEFAULT_TRANSITION, DEFAULT_HOLD, ease, interpolateCameraState, sequenceSteps } from './cameraAnimation.js';
+import { DEFAULT_LENS, FOCAL_LENGTH_PRESETS, focalLengthToFov, fovToFocalLength, withLensDefaults } from './cameraLens.js';
+import { CAMERA_MODES, DEFAULT_CAMERA_MODE, WALK, walkStep, chaseGoal, chaseBlend } from './cameraNavigation.js';
+import { FRAME_PATHS, DEFAULT_FRAME_EXPORT, MAX_FRAMES, MAX_FRAME_EXPORT_BYTES, orbitPath, viewSequencePath, frameCount, frameFileName, estimateFrameExportBytes, formatBytes, webmMimeType } from './frameSequence.js';
+import { IMAGE_SIZE_PRESETS, ASPECT_PRESETS, IMAGE_TILE_SIZE, imageSize, imageSizeError, imageTiles, renderImageTiles } from './imageExport.js';
+import {
+  PROJECTIONS, DEFAULT_PROJECTION, ORTHO_VIEW_HEIGHT, ORTHO_PRESETS, createOrthographicCamera,
+  updateOrthographicFrustum, matchingOrthoZoom, fitOrthoZoom, orthoPresetState, orthoDollyZoom
+} from './cameraProjection.js';
 
 // Helper to get asset path with Vite base URL (for GitHub Pages deployment)
 const getAssetPath = (path) => {
@@ -33,6 +53,63 @@ const getAssetPath = (path) => {
   return base + cleanPath;
 };
 
+// Escape user-provided text (names, thumbnail URLs) before putting it into innerHTML
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+// Selectable skyboxes (stored by key in scene environment settings)
+// iOS loads the smaller non-upscaled PNG faces (upscaled crashes iOS WebKit)
+const SKYBOXES = {
+  sky_44: { label: 'Sky 44', path: 'sky_44_2k/sky_44_cubemap_2k/upscaled/', ext: 'webp', iosPath: 'sky_44_2k/sky_44_cubemap_2k/', iosExt: 'png' },
+  sky_38: { label: 'Sky 38', path: 'sky_38_2k/sky_38_cubemap_2k/', ext: 'png' },
+  none: { label: 'Plain color', path: null }
+};
+const SKY_FALLBACK_COLOR = 0x87ceeb;
+
+// Mouse and modifier controls, listed next to the keymap in the help (not remappable)
+const FIXED_SHORTCUTS = [
+  { group: 'Mouse', keys: 'MMB', label: 'Orbit' },
+  { group: 'Mouse', keys: 'RMB', label: 'Pan' },
+  { group: 'Mouse', keys: 'Scroll', label: 'Dolly' },
+  { group: 'Mouse', keys: 'Ctrl+Scroll', label: 'Fine dolly' },
+  { group: 'Mouse', keys: 'Click', label: 'Select' },
+  { group: 'Mouse', keys: 'Shift+Click', label: 'Add to / remove from selection' },
+  { group: 'Mouse', keys: 'Drag', label: 'Box select' },
+  { group: 'Mouse', keys: 'Double-click', label: 'Focus object (viewport or outliner)' },
+  { group: 'Editing', keys: 'Shift (hold)', label: 'Snap while dragging' },
+  { group: 'Editing', keys: 'Ctrl+C / Ctrl+V', label: 'Copy / paste objects' },
+  { group: 'Editing', keys: 'Ctrl+Shift+V', label: 'Paste at cursor' },
+  { group: 'Walk', keys: 'W A S D', label: 'Move' },
+  { group: 'Walk', keys: 'Shift (hold)', label: 'Sprint' },
+  { group: 'Walk', keys: 'Mouse', label: 'Look (click to capture the mouse)' },
+  { group: 'Placing', keys: 'Wheel / R', label: 'Rotate ghost 90°' },
+  { group: 'Placing', keys: 'Shift+Click', label: 'Place and keep placing' },
+  { group: 'Placing', keys: 'Esc', label: 'Cancel placement' }
+];
+
+// Building types listed under "Props" in the outliner
+const PROP_TYPES = new Set(['tree1', 'trafficlight1', 'roadbarrier1']);
+const OUTLINER_GROUPS = ['Buildings', 'Props', 'Car', 'Roads'];
+
+// Default puddle layout - near the car and along the road in Game Scene 1
+// (rotation and alpha seed are fixed so every load looks the same)
+const DEFAULT_PUDDLES = [
+  // Near the car (z ~ -18)
+  { x: -0.5, z: -17, scale: 1.2, rotation: 0.42, seed: 1871 },
+  { x: 0.8, z: -19, scale: 0.8, rotation: 2.31, seed: 5203 },
+  { x: -1.2, z: -20, scale: 1.0, rotation: 1.17, seed: 9340 },
+
+  // Along the road spine
+  { x: 0.3, z: -23, scale: 0.7, rotation: 2.86, seed: 412 },
+  { x: -0.8, z: -26, scale: 0.9, rotation: 0.95, seed: 7725 },
+  { x: 0.5, z: -30, scale: 1.1, rotation: 1.88, seed: 3068 },
+
+  // Near intersections
+  { x: 1.5, z: -33, scale: 0.6, rotation: 0.18, seed: 6614 },
+  { x: -1.0, z: -38, scale: 0.8, rotation: 2.54, seed: 8457 }
+];
+
 /**
  * Low Poly Scene - Simple viewer for low poly assets
  */
@@ -44,7 +121,10 @@ class LowPolyViewer {
 
     // Core Three.js
     this.scene = null;
-    this.camera = null;
+    this.camera = null;  // The live camera: perspectiveCamera or orthoCamera
+    this.perspectiveCamera = null;
+    this.orthoCamera = null;
+    this.cameraProjection = DEFAULT_PROJECTION;
     this.renderer = null;
     this.controls = null;
 
@@ -75,6 +155,11 @@ class LowPolyViewer {
 
     // Skybox cubemap (for background and window reflections)
     this.skyboxCubemap = null;
+    this.skyboxCache = {};  // Loaded cubemaps by SKYBOXES key
+
+    // Look and generation settings saved with each scene (see getDefaultEnvironment)
+    this.environment = null;
+    this.environmentQueue = Promise.resolve();  // applyEnvironment() runs, one at a time
 
     // Car reference
     this.car = null;
@@ -82,7 +167,21 @@ class LowPolyViewer {
     // Transform controls for scene composition
     this.transformControls = null;
     this.selectableObjects = [];  // Objects that can be selected/transformed
-    this.selectedObject = null;
+    this.selectedObject = null;  // Active object (last clicked) of the selection
+    this.selectedObjects = [];  // Full selection, in the order it was picked
+    this.selectionPivot = null;  // Empty the gizmo drives when several objects are selected
+    this.pivotMode = 'center';  // 'center' (of selection) or 'active' (object)
+    this.selectionHelpers = [];  // Bounding boxes drawn around a multi-selection
+    this.suppressNextClick = false;  // Set after box select / gizmo drags
+    this.objectClipboard = null;  // Last copied objects (when the system clipboard is unavailable)
+    this.pasteAtCursor = false;  // Ctrl+Shift+V: next paste goes under the mouse
+    this.lastPointer = null;  // Last mouse position over the canvas (client px)
+    this.inspectorEnabled = true;  // P toggles the inspector panel
+    this.roadSnap = { enabled: false, setback: 1 };  // M: keep moved/spawned buildings on the road frontage
+    this.overlapHelpers = [];  // Red boxes around objects that overlap while dragging
+    this.roadFootprintCells = new Set();  // Cells under the road, for overlap checks (not the generators' occupiedCells)
+    this.placement = null;  // "+ Add" placement mode: { type, ghost, rotation }
+    this.keymap = new Keymap();  // Remappable keyboard shortcuts (saved per browser)
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
 
@@ -90,14 +189,37 @@ class LowPolyViewer {
     this.defaultSceneState = null;  // Stores initial transforms
     this.savedScenes = {};  // Named scenes
     this.currentSceneName = null;
+    this.sceneStore = null;  // IndexedDB (or localStorage fallback) persistence
+
+    // Scene/camera view thumbnails (width in px; height follows the canvas aspect)
+    this.THUMBNAIL_WIDTH = 320;
+
+    // Last choices in the Export Image dialog (size / aspect are preset keys or 'custom' / 'free')
+    this.imageExportSettings = { size: '4k', aspect: 'window', width: 3840, height: 2160, transparent: false };
+    this.frameExportSettings = { ...DEFAULT_FRAME_EXPORT };  // Last choices in the Export Frames dialog
+
+    // Autosave of unsaved edits (crash recovery)
+    this.AUTOSAVE_DELAY = 3000;
+    this.autosaveTimer = null;
+    this.autosaveErrorShown = false;
 
     // Camera view management
     this.currentCameraViews = { 'Default': null };  // Named camera views for current scene
+    this.cameraViewOrder = ['Default'];  // Their list (and Play Sequence) order
     this.activeCameraView = 'Default';
-
-    // Undo history
-    this.undoHistory = [];
+    this.cameraBookmarks = new CameraBookmarks();  // Views for every scene, kept in this browser
+    this.cameraTween = null;  // Camera transition in progress: { frame, resolve }
+    this.sequencePlayback = null;  // Play Sequence in progress: { stopped, wake }
+    this.cameraRoll = DEFAULT_LENS.roll;  // Degrees around the view axis (OrbitControls re-aims the camera every frame)
+    this.cameraMode = DEFAULT_CAMERA_MODE;  // 'orbit', 'walk' (first person) or 'chase' (follows the car)
+    this.heldKeys = new Set();  // Key codes held down (walk movement)
+    this.walkLook = { x: 0, y: 0 };  // Mouse movement since the last frame (walk mouse-look)
+    this.lastFrameTime = performance.now();
+
+    // Undo/redo history (command based)
     this.MAX_UNDO_STEPS = 50;
+    this.history = new CommandHistory(this.MAX_UNDO_STEPS);
+    this.transformStart = null;  // Object transform when a gizmo drag starts
   }
 
   async init() {
@@ -125,29 +247,12 @@ class LowPolyViewer {
     this.setupHelpers();
     console.log('Setup complete, loading assets...');
 
-    // Load stylized skybox cubemap
-    // iOS: use smaller non-upscaled PNG (less memory)
-    // Android/Desktop: use upscaled webp
-    try {
-      if (this.isIOS) {
-        // iOS: use smaller PNG cubemap (upscaled crashes iOS WebKit)
-        const skyboxPath = getAssetPath('sky_44_2k/sky_44_cubemap_2k/');
-        this.skyboxCubemap = await this.loadSkybox(skyboxPath, 'png');
-        console.log('Skybox loaded (iOS - smaller png)');
-      } else {
-        const skyboxPath = getAssetPath('sky_44_2k/sky_44_cubemap_2k/upscaled/');
-        this.skyboxCubemap = await this.loadSkybox(skyboxPath, 'webp');
-        console.log('Skybox loaded (webp)');
-      }
-      this.scene.background = this.skyboxCubemap;
-      this.scene.backgroundIntensity = this.isMobile ? 1.5 : 1.8;
-      this.scene.fog = new THREE.Fog(0xd0e0ff, this.isMobile ? 30 : 20, this.isMobile ? 120 : 100);
-    } catch (error) {
-      console.warn('Skybox failed, using sky color:', error.message);
-      this.scene.background = new THREE.Color(0x87ceeb);
-      this.scene.fog = new THREE.Fog(0x87ceeb, 30, 150);
-      this.skyboxCubemap = null;
-    }
+    // Environment defaults (a loaded scene may replace them in applySceneState)
+    this.environment = this.getDefaultEnvironment();
+
+    // Load stylized skybox cubemap, fog and exposure
+    await this.applySkybox(this.environment.skybox);
+    this.applyEnvironmentLook(this.environment);
 
     // Building model paths
     const buildingPaths = {
@@ -215,6 +320,7 @@ class LowPolyViewer {
         const model = template.clone(true);
         model.position.set(item.x, 0, item.z);
         model.rotation.y = item.rot * Math.PI / 180;
+        model.userData.buildingType = item.type.toLowerCase();  // Spawner key, so copies can be recreated
         this.scene.add(model);
         this.registerSelectable(model, item.name);
       }
@@ -239,16 +345,16 @@ class LowPolyViewer {
     // await this.spawnRoadNetworkSystem2(30);
 
     // Road System 3 - Spine-and-Branch generator
-    await this.spawnSpineAndBranchSystem3();
+    await this.spawnSpineAndBranchSystem3(this.environment.roadSeed);
 
     // Setup CubeCamera for real-time puddle reflections
     this.setupPuddleCubeCamera();
 
     // Spawn reflective puddles on the road
-    this.spawnPuddles();
+    this.spawnPuddles(this.environment.puddles);
 
     // Generate ground grid (smaller on mobile)
-    this.generateGroundGrid(this.isMobile ? 10 : 20);
+    this.generateGroundGrid(this.environment.groundGridSize);
 
     // Spawn utility poles along the road
     this.spawnUtilityPoles();
@@ -257,17 +363,33 @@ class LowPolyViewer {
     this.setupTransformControls();
 
     // Setup scene manager UI
-    this.setupSceneManager();
+    await this.setupSceneManager();
 
     // Setup building spawner UI
     this.setupBuildingSpawner();
 
+    // Setup undo/redo history panel
+    this.setupHistoryPanel();
+
+    // Setup environment settings (sky, fog, road seed...) in the scene panel
+    this.setupEnvironmentPanel();
+
+    // Setup snap-to-road controls in the "+ Add" panel
+    this.setupRoadSnapControls();
+
+    // Setup outliner and inspector panels
+    this.setupOutliner();
+    this.setupInspector();
+
     // Save default scene state (after all objects loaded)
     this.saveDefaultSceneState();
 
     // Check for scene in URL parameter (for sharing)
     await this.loadSceneFromURL();
 
+    // Offer to restore edits autosaved before the last session ended
+    await this.offerDraftRecovery();
+
     // Hide loading screen
     this.hideLoadingScreen();
 
@@ -281,39 +403,21 @@ class LowPolyViewer {
     // Start render loop
     this.animate();
 
-    // Keyboard shortcuts
+    // Keyboard shortcuts (see registerShortcuts; ? lists them all)
+    this.registerShortcuts();
+    this.setupCameraModeInput();
     document.addEventListener('keydown', (e) => {
-      if (e.code === 'KeyG') this.toggleGrid();
-      if (e.code === 'KeyT') this.setTransformMode('translate');
-      if (e.code === 'KeyR') this.setTransformMode('rotate');
-      if (e.code === 'KeyY') this.setTransformMode('scale');
-      if (e.code === 'Escape') this.deselectObject();
-      if (e.code === 'KeyP') this.printSelectedPosition();
-      if (e.code === 'Delete' || e.code === 'Backspace') this.deleteSelectedObject();
-      if (e.code === 'KeyX' && e.shiftKey) this.exportRemainingBuildings();
-
-      // Shift+C: Reset camera to origin
-      if (e.shiftKey && e.code === 'KeyC') {
-        this.resetCameraToOrigin();
-      }
+      // Typing in a text field (scene name, search...) must not trigger shortcuts
+      if (this.isEditingText(e.target)) return;
 
-      // Ctrl+Z: Undo
-      if (e.ctrlKey && e.code === 'KeyZ') {
-        e.preventDefault();
-        this.undo();
-      }
+      // Placement mode takes over R (rotate ghost) and Esc (cancel)
+      if (this.placement && this.onPlacementKey(e)) return;
 
-      // +/- or =/- keys: Precise zoom for screenshots
-      if (e.code === 'Equal' || e.code === 'NumpadAdd') {
-        this.preciseZoom(0.1); // Zoom in
-      }
-      if (e.code === 'Minus' || e.code === 'NumpadSubtract') {
-        this.preciseZoom(-0.1); // Zoom out
-      }
+      this.keymap.handle(e);
 
-      // H: Hide/show UI for screenshots
-      if (e.code === 'KeyH') {
-        this.toggleUI();
+      // Ctrl+V pastes in place, Ctrl+Shift+V at the cursor (the paste event follows this keydown)
+      if (e.ctrlKey && e.code === 'KeyV') {
+        this.pasteAtCursor = e.shiftKey;
       }
 
       // Shift held: snap rotation to 90 degrees
@@ -333,12 +437,32 @@ class LowPolyViewer {
       }
     });
 
-    // Click to select objects
+    // Click to select objects, double-click to focus one
     this.renderer.domElement.addEventListener('click', (e) => this.onClickSelect(e));
+    this.renderer.domElement.addEventListener('dblclick', (e) => {
+      if (this.placement || this.cameraMode === 'walk') return;
+      const target = this.pickSelectableAt(e.clientX, e.clientY);
+      if (target) this.focusObjects([target]);
+    });
+
+    // Ctrl+C / Ctrl+V: copy and paste objects through the system clipboard
+    document.addEventListener('copy', (e) => this.onCopy(e));
+    document.addEventListener('paste', (e) => this.onPaste(e));
+    this.renderer.domElement.addEventListener('pointermove', (e) => {
+      this.lastPointer = { x: e.clientX, y: e.clientY };
+      if (this.placement) this.updatePlacementGhost();
+    });
+
+    // While placing, the wheel turns the ghost instead of dollying the camera
+    window.addEventListener('wheel', (e) => {
+      if (!this.placement || e.target !== this.renderer.domElement) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this.rotatePlacement(e.deltaY > 0 ? 1 : -1);
+    }, { capture: true, passive: false });
 
     console.log('%c Low Poly Scene Ready ', 'background: #74b9ff; color: #000; padding: 4px 8px; border-radius: 4px;');
-    console.log('Controls: LMB Rotate | MMB Pan | Scroll Zoom | G Grid');
-    console.log('Transform: Click to select | T Translate | R Rotate | Y Scale | Esc Deselect | P Print position');
+    console.log('Press ? for keyboard shortcuts');
   }
 
   setupRenderer() {
@@ -377,9 +501,17 @@ class LowPolyViewer {
   setupScene() {
     this.scene = new THREE.Scene();
     this.scene.background = new THREE.Color(0x87ceeb);
-    this.scene.fog = new THREE.Fog(0x87ceeb, 50, 200);
+    this.sceneFog = new THREE.Fog(0x87ceeb, 50, 200);  // Set per render, see below
+    // Fog grows with depth from the camera, which a flat projection doesn't show: the
+    // orthographic presets stand well back from the target and would render half fogged.
+    // So orthographic renders (live, thumbnails, exports) leave it out.
+    this.scene.onBeforeRender = (renderer, scene, camera) => {
+      scene.fog = camera.isOrthographicCamera ? null : this.sceneFog;
+    };
 
-    this.camera = new THREE.PerspectiveCamera(80, window.innerWidth / window.innerHeight, 0.1, 1000);
+    this.perspectiveCamera = new THREE.PerspectiveCamera(80, window.innerWidth / window.innerHeight, 0.1, 1000);
+    this.orthoCamera = createOrthographicCamera(window.innerWidth / window.innerHeight);  // Plan / isometric
+    this.camera = this.perspectiveCamera;
     // Lower camera to spoiler level, tilted up to capture skybox
     this.camera.position.set(8, 2, 12);
     this.camera.lookAt(0, 3, 0);  // Look slightly upward
@@ -480,28 +612,23 @@ class LowPolyViewer {
       // Custom infinite zoom: dolly camera forward/backward in look direction
       this.renderer.domElement.addEventListener('wheel', (event) => {
         event.preventDefault();
-
-        // Get camera's forward direction
-        const forward = new THREE.Vector3();
-        this.camera.getWorldDirection(forward);
+        if (this.cameraMode !== 'orbit') return;  // Walk and chase place the camera themselves
 
         // Dolly speed: Ctrl = ultra-fine (10x more precise), normal = standard
         const baseSpeed = event.ctrlKey ? 0.0005 : 0.005;
         const dollyAmount = event.deltaY * baseSpeed;
 
-        // Move both camera and target along the forward direction
-        const movement = forward.multiplyScalar(-dollyAmount);
-        this.camera.position.add(movement);
-        this.controls.target.add(movement);
+        this.dollyCamera(-dollyAmount);
       }, { passive: false });
     }
   }
 
   setupTransformControls() {
-    // Skip on mobile - not useful for touch interaction
+    // Mobile: no gizmo, objects are edited with touch gestures instead
     if (this.isMobile) {
-      console.log('Mobile detected - skipping transform controls');
+      console.log('Mobile detected - using touch editing instead of transform controls');
       this.transformControls = null;
+      this.setupTouchEditing();
       return;
     }
 
@@ -510,9 +637,56 @@ class LowPolyViewer {
       this.transformControls = new TransformControls(this.camera, this.renderer.domElement);
       this.transformControls.setSize(1.0);
 
-      // Capture state before transform starts (for undo)
+      // Multi-selection: the gizmo moves an empty pivot and the objects follow it
+      this.selectionPivot = new THREE.Object3D();
+      this.selectionPivot.name = 'selection-pivot';
+      this.scene.add(this.selectionPivot);
+
+      // Capture transforms before drag starts, record a command when it ends (for undo)
       this.transformControls.addEventListener('mouseDown', () => {
-        this.pushUndoState();
+        if (!this.transformControls.object) {
+          this.transformStart = null;
+          return;
+        }
+        const objects = this.movableSelection();
+        objects.forEach(o => o.updateMatrix());
+        this.selectionPivot.updateMatrixWorld();
+        this.transformStart = {
+          objects,
+          before: objects.map(o => this.captureTransform(o)),
+          matrices: objects.map(o => o.matrix.clone()),
+          pivotInverse: this.selectionPivot.matrixWorld.clone().invert(),
+          roadSnap: this.canRoadSnap(objects) ? this.prepareRoadSnap(objects[0]) : null,
+          // Roads only change during the drag if one of them is being moved
+          roadCells: objects.some(o => this.roadPieces.includes(o)) ? null : this.updateRoadCells()
+        };
+      });
+      this.transformControls.addEventListener('objectChange', () => {
+        const start = this.transformStart;
+        if (start && this.transformControls.object === this.selectionPivot) {
+          this.applyPivotDelta(start);
+        } else if (start?.roadSnap && this.transformControls.mode === 'translate') {
+          this.applyRoadSnap(start.objects[0], start.roadSnap);
+        }
+        if (start) {
+          this.showOverlaps(this.findOverlaps(start.objects, start.roadCells || this.updateRoadCells()));
+        }
+        this.renderInspector();
+      });
+      this.transformControls.addEventListener('mouseUp', () => {
+        const start = this.transformStart;
+        if (start) {
+          const verb = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' }[this.transformControls.mode];
+          this.recordTransformCommand(start.objects, start.before, start.objects.map(o => this.captureTransform(o)), verb);
+          this.updateSelectionPivot();
+          if (this.overlapHelpers.length) {
+            console.warn(`${this.overlapHelpers.length} objects overlap - use Validate Scene in the outliner for details`);
+          }
+          this.showOverlaps([]);
+        }
+        this.transformStart = null;
+        // The click that ends a drag shouldn't change the selection
+        this.suppressNextClick = true;
       });
 
       // Disable orbit controls while transforming
@@ -524,6 +698,8 @@ class LowPolyViewer {
       const gizmo = this.transformControls.getHelper();
       this.scene.add(gizmo);
 
+      this.setupBoxSelect();
+
       console.log('Transform controls ready');
     } catch (err) {
       console.error('Failed to setup transform controls:', err);
@@ -531,24 +707,260 @@ class LowPolyViewer {
     }
   }
 
-  pushUndoState() {
-    const state = this.captureSceneState();
-    this.undoHistory.push(state);
-    // Limit history size
-    if (this.undoHistory.length > this.MAX_UNDO_STEPS) {
-      this.undoHistory.shift();
-    }
-    console.log(`Undo state saved (${this.undoHistory.length} steps)`);
+  // ==================== TOUCH EDITING ====================
+  // Phones and tablets have no gizmo. Tap selects; a finger that lands on a selected
+  // object slides it over the ground, and a second finger twists it around Y.
+  // Touches that start anywhere else still orbit and pinch the camera.
+
+  setupTouchEditing() {
+    const canvas = this.renderer.domElement;
+    const touches = new Map();  // pointerId -> { x, y }
+    let tap = null;  // { x, y, time } of a finger that may still become a tap
+    let edit = null;  // Object drag/twist in progress
+
+    // Screen angle between the two fingers
+    const fingerAngle = () => {
+      const [a, b] = [...touches.values()];
+      return Math.atan2(b.y - a.y, b.x - a.x);
+    };
+
+    // (Re)start sliding from where the remaining finger is now
+    const grab = (x, y) => {
+      edit.grabPoint = this.groundPointAt(x, y);
+      edit.startPositions = edit.objects.map(o => o.position.clone());
+      edit.twist = null;
+    };
+
+    // Capture phase, so OrbitControls is disabled before it sees the finger
+    canvas.addEventListener('pointerdown', (event) => {
+      if (event.pointerType !== 'touch') return;
+      touches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+      if (touches.size === 1) {
+        tap = { x: event.clientX, y: event.clientY, time: performance.now() };
+        const movable = this.movableSelection();
+        const hit = movable.length ? this.pickSelectableAt(event.clientX, event.clientY) : null;
+        if (hit && movable.includes(hit)) {
+          this.controls.enabled = false;
+          edit = {
+            objects: movable,
+            before: movable.map(o => this.captureTransform(o)),
+            roadSnap: this.canRoadSnap(movable) ? this.prepareRoadSnap(movable[0]) : null,
+            rotated: false
+          };
+          grab(event.clientX, event.clientY);
+        }
+      } else {
+        tap = null;
+        if (edit && touches.size === 2) {
+          const center = new THREE.Vector3();
+          edit.objects.forEach(o => center.add(o.position));
+          center.divideScalar(edit.objects.length);
+          edit.twist = {
+            angle: fingerAngle(),
+            center,
+            positions: edit.objects.map(o => o.position.clone()),
+            rotations: edit.objects.map(o => o.rotation.y)
+          };
+        }
+      }
+    }, true);
+
+    canvas.addEventListener('pointermove', (event) => {
+      if (!touches.has(event.pointerId)) return;
+      touches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      if (tap && Math.hypot(event.clientX - tap.x, event.clientY - tap.y) > 10) tap = null;
+      if (!edit) return;
+
+      if (edit.twist && touches.size === 2) {
+        // Screen y points down, so a clockwise twist is a negative turn around +Y
+        const angle = -(fingerAngle() - edit.twist.angle);
+        const { center, positions, rotations } = edit.twist;
+        edit.objects.forEach((o, i) => {
+          const offset = positions[i].clone().sub(center).applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+          o.position.copy(center).add(offset);
+          o.rotation.y = rotations[i] + angle;
+        });
+        edit.rotated = true;
+      } else if (!edit.twist && touches.size === 1 && edit.grabPoint) {
+        const point = this.groundPointAt(event.clientX, event.clientY);
+        if (!point) return;
+        edit.objects.forEach((o, i) => {
+          o.position.x = edit.startPositions[i].x + point.x - edit.grabPoint.x;
+          o.position.z = edit.startPositions[i].z + point.z - edit.grabPoint.z;
+        });
+        if (edit.roadSnap) this.applyRoadSnap(edit.objects[0], edit.roadSnap);
+      }
+      this.renderInspector();
+    });
+
+    const onPointerEnd = (event) => {
+      if (!touches.delete(event.pointerId)) return;
+
+      if (edit && touches.size === 1) {
+        // Lifting one finger of a twist goes back to sliding with the other
+        const [remaining] = touches.values();
+        grab(remaining.x, remaining.y);
+      } else if (edit && touches.size === 0) {
+        const after = edit.objects.map(o => this.captureTransform(o));
+        this.recordTransformCommand(edit.objects, edit.before, after, edit.rotated ? 'Rotate' : 'Move');
+        this.updateSelectionPivot();
+        this.controls.enabled = true;
+        edit = null;
+      }
+
+      if (tap && touches.size === 0 && performance.now() - tap.time < 300) {
+        const target = this.pickSelectableAt(tap.x, tap.y);
+        if (target) {
+          this.selectObject(target);
+        } else {
+          this.deselectObject();
+        }
+      }
+      if (touches.size === 0) tap = null;
+    };
+    canvas.addEventListener('pointerup', onPointerEnd);
+    canvas.addEventListener('pointercancel', onPointerEnd);
+
+    this.setupTouchToolbar();
+    console.log('Touch editing ready: tap to select, drag a selected object to move, twist to rotate');
+  }
+
+  // Floating delete / duplicate / undo buttons for touch editing
+  setupTouchToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.id = 'touch-toolbar';
+    toolbar.style.cssText = 'position:fixed;bottom:20px;left:50%;transform:translateX(-50%);display:flex;gap:8px;z-index:1000;';
+
+    const btnStyle = 'border:none;border-radius:20px;background:rgba(0,0,0,0.6);color:#fff;font-family:monospace;font-size:13px;padding:10px 14px;touch-action:manipulation;user-select:none;';
+    [
+      { action: 'delete', label: 'Delete', run: () => this.deleteSelectedObject() },
+      { action: 'duplicate', label: 'Duplicate', run: () => this.duplicateSelection() },
+      { action: 'undo', label: '&#8630; Undo', run: () => this.undo() }
+    ].forEach(({ action, label, run }) => {
+      const btn = document.createElement('button');
+      btn.dataset.action = action;
+      btn.innerHTML = label;
+      btn.style.cssText = btnStyle;
+      btn.addEventListener('click', run);
+      toolbar.appendChild(btn);
+    });
+
+    document.body.appendChild(toolbar);
+    this.renderTouchToolbar();
+  }
+
+  renderTouchToolbar() {
+    const toolbar = document.getElementById('touch-toolbar');
+    if (!toolbar) return;
+    const enabled = {
+      delete: this.movableSelection().length > 0,
+      duplicate: this.selectedObjects.length > 0,
+      undo: this.history.canUndo()
+    };
+    toolbar.querySelectorAll('button[data-action]').forEach(btn => {
+      btn.disabled = !enabled[btn.dataset.action];
+      btn.style.opacity = btn.disabled ? '0.4' : '1';
+    });
   }
 
   undo() {
-    if (this.undoHistory.length === 0) {
+    const command = this.history.undo();
+    if (!command) {
       console.log('Nothing to undo');
       return;
     }
-    const state = this.undoHistory.pop();
-    this.applySceneState(state);
-    console.log(`Undo applied (${this.undoHistory.length} steps remaining)`);
+    console.log(`Undo: ${command.label} (${this.history.cursor} steps remaining)`);
+  }
+
+  redo() {
+    const command = this.history.redo();
+    if (!command) {
+      console.log('Nothing to redo');
+      return;
+    }
+    console.log(`Redo: ${command.label}`);
+  }
+
+  // Snapshot of an object's local transform (for transform commands)
+  captureTransform(object) {
+    return {
+      position: object.position.clone(),
+      quaternion: object.quaternion.clone(),
+      scale: object.scale.clone()
+    };
+  }
+
+  transformEquals(a, b) {
+    return a.position.equals(b.position) && a.quaternion.equals(b.quaternion) && a.scale.equals(b.scale);
+  }
+
+  applyTransform(object, transform) {
+    object.position.copy(transform.position);
+    object.quaternion.copy(transform.quaternion);
+    object.scale.copy(transform.scale);
+  }
+
+  // Record a move/rotate/scale of one or more objects as one undoable step
+  // (skips clicks that didn't change anything)
+  recordTransformCommand(objects, before, after, verb = 'Transform') {
+    const unchanged = objects.every((o, i) => this.transformEquals(before[i], after[i]));
+    if (unchanged) return;
+
+    const apply = (transforms) => {
+      objects.forEach((o, i) => this.applyTransform(o, transforms[i]));
+      this.updateSelectionPivot();
+    };
+    this.history.record({
+      label: objects.length === 1 ? `${verb} ${objects[0].name}` : `${verb} ${objects.length} objects`,
+      objects,
+      undo: () => apply(before),
+      redo: () => apply(after)
+    });
+  }
+
+  // Move every selected object by how far the pivot has moved since the drag started
+  applyPivotDelta(start) {
+    this.selectionPivot.updateMatrixWorld();
+    const delta = this.selectionPivot.matrixWorld.clone().multiply(start.pivotInverse);
+    start.objects.forEach((o, i) => {
+      o.matrix.multiplyMatrices(delta, start.matrices[i]);
+      o.matrix.decompose(o.position, o.quaternion, o.scale);
+    });
+  }
+
+  // Remove a selectable from the scene without disposing it (so undo can bring it back)
+  detachSelectable(object) {
+    if (this.selectedObjects.includes(object)) {
+      this.setSelection(this.selectedObjects.filter(o => o !== object),
+        this.selectedObject === object ? undefined : this.selectedObject);
+    }
+    const index = this.selectableObjects.indexOf(object);
+    if (index > -1) {
+      this.selectableObjects.splice(index, 1);
+    }
+    this.scene.remove(object);
+    return index;
+  }
+
+  // Put a detached selectable back into the scene
+  attachSelectable(object, index = this.selectableObjects.length) {
+    this.scene.add(object);
+    this.selectableObjects.splice(Math.max(index, 0), 0, object);
+  }
+
+  // Dispose of geometry and materials to free memory
+  disposeObject(object) {
+    object.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) {
+        if (Array.isArray(child.material)) {
+          child.material.forEach(m => m.dispose());
+        } else {
+          child.material.dispose();
+        }
+      }
+    });
   }
 
   setTransformMode(mode) {
@@ -559,61 +971,235 @@ class LowPolyViewer {
   }
 
   selectObject(object) {
-    if (!this.transformControls) {
-      console.error('Transform controls not initialized!');
-      return;
+    this.setSelection([object]);
+    if (this.transformControls) {
+      console.log(`Selected: ${object.name || 'unnamed'}, transform attached:`, this.transformControls.object === object);
+    } else {
+      console.log(`Selected: ${object.name || 'unnamed'}`);
     }
-    this.selectedObject = object;
-    this.transformControls.attach(object);
-    this.transformControls.visible = true;
-    console.log(`Selected: ${object.name || 'unnamed'}, transform attached:`, this.transformControls.object === object);
-    console.log('Transform controls visible:', this.transformControls.visible, 'in scene:', this.transformControls.parent === this.scene);
   }
 
   deselectObject() {
-    this.selectedObject = null;
+    this.setSelection([]);
+    console.log('Deselected');
+  }
+
+  // Replace the selection. The active object is the pivot in 'active' mode and
+  // the target of single-object actions (rename, print position).
+  setSelection(objects, active = objects[objects.length - 1]) {
+    this.selectedObjects = [...new Set(objects)];
+    this.selectedObject = this.selectedObjects.includes(active)
+      ? active
+      : this.selectedObjects[this.selectedObjects.length - 1] || null;
+
     if (this.transformControls) {
-      this.transformControls.detach();
+      const movable = this.movableSelection();
+      if (movable.length === 0) {
+        this.transformControls.detach();
+      } else if (movable.length === 1) {
+        this.transformControls.attach(movable[0]);
+      } else {
+        this.updateSelectionPivot();
+        this.transformControls.attach(this.selectionPivot);
+      }
     }
-    console.log('Deselected');
+    this.updateSelectionHelpers();
+    this.renderOutliner();
+    this.renderInspector();
+    this.renderTouchToolbar();
+  }
+
+  // Locked and hidden objects can be selected from the outliner but not transformed
+  movableSelection() {
+    return this.selectedObjects.filter(o => !o.userData.locked && o.visible);
+  }
+
+  // Objects that viewport clicks, box select and Ctrl+A can pick
+  isPickable(object) {
+    return object.visible && !object.userData.locked;
+  }
+
+  // Shift-click: add an object to the selection, or remove it if already selected
+  toggleSelection(object) {
+    if (this.selectedObjects.includes(object)) {
+      this.setSelection(this.selectedObjects.filter(o => o !== object));
+      console.log(`Removed from selection: ${object.name}`);
+    } else {
+      this.setSelection([...this.selectedObjects, object], object);
+      console.log(`Added to selection: ${object.name} (${this.selectedObjects.length} selected)`);
+    }
+  }
+
+  selectAll() {
+    if (!this.transformControls) return;
+    this.setSelection(this.selectableObjects.filter(o => this.isPickable(o)), this.selectedObject);
+    console.log(`Selected all (${this.selectedObjects.length} objects)`);
+  }
+
+  setPivotMode(mode) {
+    this.pivotMode = mode;
+    this.updateSelectionPivot();
+    console.log(`Pivot: ${mode === 'active' ? 'active object' : 'selection center'}`);
+  }
+
+  // Place the group pivot at the selection center (world-aligned) or on the active object
+  updateSelectionPivot() {
+    const movable = this.movableSelection();
+    if (!this.selectionPivot || movable.length < 2) return;
+    const pivot = this.selectionPivot;
+    if (this.pivotMode === 'active' && movable.includes(this.selectedObject)) {
+      pivot.position.copy(this.selectedObject.position);
+      pivot.quaternion.copy(this.selectedObject.quaternion);
+    } else {
+      pivot.position.set(0, 0, 0);
+      movable.forEach(o => pivot.position.add(o.position));
+      pivot.position.divideScalar(movable.length);
+      pivot.quaternion.identity();
+    }
+    pivot.scale.set(1, 1, 1);
+    pivot.updateMatrixWorld();
+  }
+
+  // Box outlines for multi-selection (the active object is highlighted)
+  updateSelectionHelpers() {
+    this.selectionHelpers.forEach(helper => {
+      this.scene.remove(helper);
+      helper.dispose();
+    });
+    this.selectionHelpers = [];
+    // Without a gizmo (touch editing) a single selection needs its box too
+    if (this.selectedObjects.length < (this.transformControls ? 2 : 1)) return;
+
+    this.selectionHelpers = this.selectedObjects.map(o => {
+      const helper = new THREE.BoxHelper(o, o === this.selectedObject ? 0xffd166 : 0x74b9ff);
+      this.scene.add(helper);
+      return helper;
+    });
+  }
+
+  // Left-drag on empty canvas draws a selection rectangle (Shift adds to the selection)
+  setupBoxSelect() {
+    const canvas = this.renderer.domElement;
+    const box = document.createElement('div');
+    box.id = 'selection-box';
+    box.style.cssText = 'position:fixed;display:none;border:1px dashed #74b9ff;background:rgba(116,185,255,0.15);pointer-events:none;z-index:40;';
+    document.body.appendChild(box);
+
+    let drag = null;
+    canvas.addEventListener('pointerdown', (event) => {
+      if (event.button !== 0 || event.altKey || event.ctrlKey || this.placement || this.cameraMode === 'walk') return;
+      if (this.transformControls.dragging || this.transformControls.axis !== null) return;
+      drag = { x: event.clientX, y: event.clientY, additive: event.shiftKey, active: false };
+    });
+
+    canvas.addEventListener('pointermove', (event) => {
+      if (!drag) return;
+      if (!drag.active && Math.hypot(event.clientX - drag.x, event.clientY - drag.y) < 5) return;
+      drag.active = true;
+      box.style.display = 'block';
+      box.style.left = `${Math.min(drag.x, event.clientX)}px`;
+      box.style.top = `${Math.min(drag.y, event.clientY)}px`;
+      box.style.width = `${Math.abs(event.clientX - drag.x)}px`;
+      box.style.height = `${Math.abs(event.clientY - drag.y)}px`;
+    });
+
+    window.addEventListener('pointerup', (event) => {
+      if (!drag) return;
+      if (drag.active) {
+        box.style.display = 'none';
+        this.selectInRect({
+          left: Math.min(drag.x, event.clientX),
+          right: Math.max(drag.x, event.clientX),
+          top: Math.min(drag.y, event.clientY),
+          bottom: Math.max(drag.y, event.clientY)
+        }, drag.additive);
+        // A click only follows when the drag ended over the canvas
+        this.suppressNextClick = event.target === canvas;
+      }
+      drag = null;
+    });
+  }
+
+  // Select every object whose bounding box center projects inside a client-space rectangle
+  selectInRect(rect, additive = false) {
+    const canvasRect = this.renderer.domElement.getBoundingClientRect();
+    const box = new THREE.Box3();
+    const center = new THREE.Vector3();
+
+    const inside = this.selectableObjects.filter(obj => {
+      if (!this.isPickable(obj)) return false;
+      box.setFromObject(obj).getCenter(center).project(this.camera);
+      if (center.z < -1 || center.z > 1) return false;  // Behind the camera
+      const x = canvasRect.left + (center.x + 1) / 2 * canvasRect.width;
+      const y = canvasRect.top + (1 - center.y) / 2 * canvasRect.height;
+      return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+    });
+
+    this.setSelection(additive ? [...this.selectedObjects, ...inside] : inside,
+      additive ? this.selectedObject : undefined);
+    console.log(`Box selected ${inside.length} objects (${this.selectedObjects.length} selected)`);
   }
 
   deleteSelectedObject() {
-    if (!this.selectedObject) {
+    if (this.selectedObjects.length === 0) {
       console.log('Nothing selected to delete');
       return;
     }
 
-    const name = this.selectedObject.name || 'unnamed object';
-
-    // Detach transform controls first
-    if (this.transformControls) {
-      this.transformControls.detach();
+    const objects = this.selectedObjects.filter(o => !o.userData.locked);
+    if (objects.length === 0) {
+      console.log('Selection is locked, nothing deleted');
+      return;
     }
+    const label = objects.length === 1
+      ? `Delete ${objects[0].name || 'unnamed object'}`
+      : `Delete ${objects.length} objects`;
+
+    // Keep the objects around until they leave the history so undo restores them as-is.
+    // Re-attach in reverse order so every object gets its original list index back.
+    const indices = objects.map(o => this.detachSelectable(o));
+    this.history.record({
+      label,
+      objects,
+      undo: () => {
+        for (let i = objects.length - 1; i >= 0; i--) this.attachSelectable(objects[i], indices[i]);
+      },
+      redo: () => objects.forEach(o => this.detachSelectable(o)),
+      dispose: (applied) => { if (applied) objects.forEach(o => this.disposeObject(o)); }
+    });
 
-    // Remove from selectableObjects array
-    const index = this.selectableObjects.indexOf(this.selectedObject);
-    if (index > -1) {
-      this.selectableObjects.splice(index, 1);
+    console.log(`Deleted: ${objects.map(o => o.name).join(', ')}`);
+  }
+
+  // Rename the selected object (display names must be unique; the id stays the same)
+  renameSelectedObject() {
+    if (!this.selectedObject) {
+      console.log('Nothing selected to rename');
+      return;
     }
+    const object = this.selectedObject;
+    const newName = prompt('Rename object:', object.name);
+    if (newName === null) return;
+    this.renameObject(object, newName.trim());
+  }
 
-    // Remove from scene
-    this.scene.remove(this.selectedObject);
+  renameObject(object, newName) {
+    const oldName = object.name;
+    if (!newName || newName === oldName) return false;
+    if (this.selectableObjects.some(o => o !== object && o.name === newName)) {
+      alert(`An object named "${newName}" already exists.`);
+      return false;
+    }
 
-    // Dispose of geometry and materials to free memory
-    this.selectedObject.traverse((child) => {
-      if (child.geometry) child.geometry.dispose();
-      if (child.material) {
-        if (Array.isArray(child.material)) {
-          child.material.forEach(m => m.dispose());
-        } else {
-          child.material.dispose();
-        }
-      }
+    object.name = newName;
+    this.history.record({
+      label: `Rename ${oldName} to ${newName}`,
+      objects: [object],
+      undo: () => { object.name = oldName; },
+      redo: () => { object.name = newName; }
     });
-
-    console.log(`Deleted: ${name}`);
-    this.selectedObject = null;
+    console.log(`Renamed: ${oldName} -> ${newName}`);
+    return true;
   }
 
   exportRemainingBuildings() {
@@ -636,9 +1222,154 @@ class LowPolyViewer {
     console.log('=== END ===');
   }
 
+  // ==================== DUPLICATE / COPY / PASTE ====================
+  // Copies are loaded fresh from their building type and marked as spawned,
+  // so they are saved and restored like objects from the "+ Add" panel.
+
+  // Building type of an object, or null if it can't be recreated (car, roads)
+  copyableType(object) {
+    return object.userData.spawnedType || object.userData.buildingType || null;
+  }
+
+  describeObjects(objects) {
+    return objects
+      .filter(o => this.copyableType(o) && this.buildingPaths[this.copyableType(o)])
+      .map(o => ({
+        type: this.copyableType(o),
+        name: o.name,
+        position: { x: o.position.x, y: o.position.y, z: o.position.z },
+        rotation: { x: o.rotation.x, y: o.rotation.y, z: o.rotation.z },
+        scale: { x: o.scale.x, y: o.scale.y, z: o.scale.z }
+      }));
+  }
+
+  // Create objects from descriptions as one undoable step, then select them
+  async createObjectCopies(entries, verb, offset = null) {
+    const created = [];
+    for (const entry of entries) {
+      const path = this.buildingPaths[entry.type];
+      if (!path) {
+        console.warn(`Can't create unknown building type: ${entry.type}`);
+        continue;
+      }
+      const object = await this.loadModel(path);
+      if (!object) continue;
+
+      object.userData.spawnedType = entry.type;
+      object.position.set(entry.position.x, entry.position.y, entry.position.z);
+      if (offset) object.position.add(offset);
+      object.rotation.set(entry.rotation.x, entry.rotation.y, entry.rotation.z);
+      object.scale.set(entry.scale.x, entry.scale.y, entry.scale.z);
+
+      // "house1_3" -> next free "house1_<n>"
+      const base = (entry.name || entry.type).replace(/_\d+$/, '');
+      this.registerSelectable(object, this.uniqueObjectName(base), this.generateObjectId(entry.type));
+      created.push(object);
+    }
+    if (created.length === 0) return created;
+
+    this.history.record({
+      label: created.length === 1 ? `${verb} ${created[0].name}` : `${verb} ${created.length} objects`,
+      objects: created,
+      undo: () => created.forEach(o => this.detachSelectable(o)),
+      redo: () => created.forEach(o => this.attachSelectable(o)),
+      dispose: (applied) => { if (!applied) created.forEach(o => this.disposeObject(o)); }
+    });
+    this.setSelection(created);
+    console.log(`${verb}: ${created.map(o => o.name).join(', ')}`);
+    return created;
+  }
+
+  async duplicateSelection() {
+    const entries = this.describeObjects(this.selectedObjects);
+    const skipped = this.selectedObjects.length - entries.length;
+    if (skipped > 0) console.log(`${skipped} selected object(s) can't be duplicated (no building type)`);
+    if (entries.length === 0) return;
+    await this.createObjectCopies(entries, 'Duplicate');
+  }
+
+  // Shortcuts typed into inputs (scene name, rename...) keep their normal meaning
+  isEditingText(target) {
+    return !!target?.closest?.('input, textarea, select, [contenteditable="true"]');
+  }
+
+  onCopy(event) {
+    if (this.isEditingText(event.target) || window.getSelection()?.toString()) return;
+    const entries = this.describeObjects(this.selectedObjects);
+    if (entries.length === 0) return;
+
+    const data = createObjectClipboard(entries);
+    this.objectClipboard = data;
+    event.clipboardData.setData('text/plain', JSON.stringify(data));
+    event.preventDefault();
+    console.log(`Copied ${entries.length} object(s)`);
+  }
+
+  onPaste(event) {
+    if (this.isEditingText(event.target)) return;
+    const text = event.clipboardData?.getData('text/plain');
+    const entries = text ? parseObjectClipboard(text) : this.objectClipboard?.objects;
+    const atCursor = this.pasteAtCursor;
+    this.pasteAtCursor = false;
+    if (!entries || entries.length === 0) return;
+
+    event.preventDefault();
+    this.pasteObjects(entries, atCursor);
+  }
+
+  // Paste in place, or with the group's center moved to the ground under the mouse
+  pasteObjects(entries, atCursor = false) {
+    let offset = null;
+    const point = atCursor ? this.groundPointUnderCursor() : null;
+    if (point) {
+      const center = new THREE.Vector3();
+      entries.forEach(e => center.add(new THREE.Vector3(e.position.x, 0, e.position.z)));
+      center.divideScalar(entries.length);
+      offset = point.sub(center);
+      offset.y = 0;
+    }
+    return this.createObjectCopies(entries, 'Paste', offset);
+  }
+
+  // Where the mouse points on the ground plane (y = 0), or null
+  groundPointUnderCursor() {
+    if (!this.lastPointer) return null;
+    return this.groundPointAt(this.lastPointer.x, this.lastPointer.y);
+  }
+
+  groundPointAt(clientX, clientY) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(ndc, this.camera);
+    const ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+    return this.raycaster.ray.intersectPlane(ground, new THREE.Vector3());
+  }
+
   onClickSelect(event) {
-    // Ignore if Alt/Ctrl/Shift held (used for camera controls)
-    if (event.altKey || event.ctrlKey || event.shiftKey) {
+    // Walking: a click captures the mouse for looking around, it doesn't select
+    if (this.cameraMode === 'walk') {
+      if (document.pointerLockElement !== this.renderer.domElement) this.requestWalkLook();
+      return;
+    }
+
+    // In placement mode a click drops the building (Shift keeps placing)
+    if (this.placement) {
+      this.suppressNextClick = false;
+      this.commitPlacement(event.shiftKey);
+      return;
+    }
+
+    // Box select and gizmo drags end with a click that isn't a selection
+    if (this.suppressNextClick) {
+      this.suppressNextClick = false;
+      return;
+    }
+
+    // Ignore if Alt/Ctrl held (used for camera controls); Shift adds/removes
+    if (event.altKey || event.ctrlKey) {
       return;
     }
 
@@ -647,10 +1378,28 @@ class LowPolyViewer {
       return;
     }
 
+    const target = this.pickSelectableAt(event.clientX, event.clientY);
+    if (target) {
+      if (event.shiftKey) {
+        this.toggleSelection(target);
+      } else {
+        this.selectObject(target);
+      }
+      return;
+    }
+
+    // Clicked outside any selectable object - deselect (Shift keeps the selection)
+    if (event.shiftKey) return;
+    console.log('No selectable hit, deselecting');
+    this.deselectObject();
+  }
+
+  // Nearest pickable selectable under a client-space point, or null
+  pickSelectableAt(clientX, clientY) {
     // Calculate mouse position in normalized device coordinates
     const rect = this.renderer.domElement.getBoundingClientRect();
-    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    this.mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    this.mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
 
     console.log(`Click at (${this.mouse.x.toFixed(2)}, ${this.mouse.y.toFixed(2)}), selectables: ${this.selectableObjects.length}`);
 
@@ -660,64 +1409,354 @@ class LowPolyViewer {
 
     console.log(`Raycast hits: ${intersects.length}`);
 
-    if (intersects.length > 0) {
-      // Walk up to find a selectable parent
-      for (const hit of intersects) {
-        let target = hit.object;
-        console.log(`Hit: ${target.name || target.type}, distance: ${hit.distance.toFixed(2)}`);
-
-        // Walk up the parent hierarchy to find a selectable root
-        while (target) {
-          if (this.selectableObjects.includes(target)) {
-            console.log(`Found selectable: ${target.name}`);
-            this.selectObject(target);
-            return;
-          }
-          target = target.parent;
+    // Walk up to find a selectable parent
+    for (const hit of intersects) {
+      let target = hit.object;
+      console.log(`Hit: ${target.name || target.type}, distance: ${hit.distance.toFixed(2)}`);
+
+      // Walk up the parent hierarchy to find a selectable root
+      while (target) {
+        if (this.selectableObjects.includes(target)) {
+          // Hidden and locked objects let clicks through to whatever is behind them
+          if (!this.isPickable(target)) break;
+          console.log(`Found selectable: ${target.name}`);
+          return target;
         }
+        target = target.parent;
       }
     }
+    return null;
+  }
 
-    // Clicked outside any selectable object - deselect
-    console.log('No selectable hit, deselecting');
-    this.deselectObject();
+  // ==================== ROAD SNAPPING ====================
+  // Optional mode: moved or spawned buildings jump to the nearest road frontage
+  // (edge of the road + setback) and turn to face the street.
+
+  setRoadSnap(changes) {
+    Object.assign(this.roadSnap, changes);
+    const checkbox = document.getElementById('road-snap-toggle');
+    const setback = document.getElementById('road-snap-setback');
+    if (checkbox) checkbox.checked = this.roadSnap.enabled;
+    if (setback && document.activeElement !== setback) setback.value = this.roadSnap.setback;
+    console.log(`Snap to road: ${this.roadSnap.enabled ? `on (setback ${this.roadSnap.setback}m)` : 'off'}`);
   }
 
-  printSelectedPosition() {
-    if (this.selectedObject) {
-      const p = this.selectedObject.position;
-      const r = this.selectedObject.rotation;
-      console.log(`Position: (${p.x.toFixed(2)}, ${p.y.toFixed(2)}, ${p.z.toFixed(2)})`);
-      console.log(`Rotation: (${THREE.MathUtils.radToDeg(r.x).toFixed(1)}°, ${THREE.MathUtils.radToDeg(r.y).toFixed(1)}°, ${THREE.MathUtils.radToDeg(r.z).toFixed(1)}°)`);
-    }
+  // Only single buildings/props snap; roads, poles and the car move freely
+  canRoadSnap(objects) {
+    return this.roadSnap.enabled && objects.length === 1 &&
+      !objects[0].userData.generated && objects[0] !== this.car;
   }
 
-  // Register an object as selectable for transform controls
-  registerSelectable(object, name) {
-    object.name = name || object.name || 'object';
-    this.selectableObjects.push(object);
+  // Road segments and the object's depth don't change during a drag, so compute them once
+  prepareRoadSnap(object) {
+    return {
+      segments: buildRoadSegments(this.roadPieces),
+      halfDepth: objectHalfDepth(object)
+    };
   }
 
-  // Mobile zoom buttons and UI toggle
-  setupMobileZoomButtons() {
-    // Container for mobile controls (bottom right)
-    const container = document.createElement('div');
-    container.id = 'mobile-controls';
-    container.style.cssText = `
-      position: fixed;
-      bottom: 20px;
-      right: 20px;
-      display: flex;
-      flex-direction: column;
-      gap: 10px;
-      z-index: 1000;
-    `;
+  applyRoadSnap(object, snap = this.prepareRoadSnap(object)) {
+    const result = snapToRoad(object.position, snap.segments, {
+      setback: this.roadSnap.setback,
+      halfDepth: snap.halfDepth
+    });
+    if (!result) return false;
+    object.position.x = result.position.x;
+    object.position.z = result.position.z;
+    object.rotation.set(object.rotation.x, result.rotationY, object.rotation.z);
+    return true;
+  }
 
-    // Button style
-    const btnStyle = `
-      width: 50px;
-      height: 50px;
-      border-radius: 50%;
+  setupRoadSnapControls() {
+    const checkbox = document.getElementById('road-snap-toggle');
+    const setback = document.getElementById('road-snap-setback');
+    if (!checkbox || !setback) return;
+
+    checkbox.addEventListener('change', () => this.setRoadSnap({ enabled: checkbox.checked }));
+    setback.addEventListener('keydown', (e) => e.stopPropagation());
+    setback.addEventListener('change', () => {
+      const value = parseFloat(setback.value);
+      this.setRoadSnap({ setback: Number.isFinite(value) ? Math.max(0, value) : this.roadSnap.setback });
+    });
+    setback.value = this.roadSnap.setback;
+  }
+
+  // ==================== OVERLAP DETECTION ====================
+  // Buildings can't overlap each other or stand on the road, and props can't overlap
+  // each other. Conflicts are outlined live while dragging; Validate Scene lists them all.
+
+  // Road cells from the current layout (System 3 doesn't track them while it builds)
+  updateRoadCells() {
+    this.roadFootprintCells = roadCells(buildRoadSegments(this.roadPieces), this.GRID_CELL_SIZE);
+    return this.roadFootprintCells;
+  }
+
+  // 'building', 'prop' or null for things that aren't checked (roads, car)
+  overlapCategory(object) {
+    if (object === this.car || this.roadPieces.includes(object)) return null;
+    return this.outlinerGroup(object) === 'Props' ? 'prop' : 'building';
+  }
+
+  // Overlaps as [{ kind: 'building'|'prop'|'road', objects }]. With `moving`, only
+  // conflicts that involve one of those objects are returned.
+  findOverlaps(moving = null, cells = this.updateRoadCells()) {
+    const involved = moving && new Set(moving);
+    const candidates = this.selectableObjects
+      .filter(o => o.visible && this.overlapCategory(o))
+      .map(o => ({ object: o, category: this.overlapCategory(o), footprint: computeFootprint(o) }))
+      .filter(c => c.footprint);
+
+    const overlaps = [];
+    candidates.forEach((a, i) => {
+      const aMoving = !involved || involved.has(a.object);
+      if (aMoving && a.category === 'building' && footprintOnCells(a.footprint, cells, this.GRID_CELL_SIZE)) {
+        overlaps.push({ kind: 'road', objects: [a.object] });
+      }
+      for (let j = i + 1; j < candidates.length; j++) {
+        const b = candidates[j];
+        if (a.category !== b.category) continue;
+        if (!aMoving && !involved.has(b.object)) continue;
+        if (footprintsOverlap(a.footprint, b.footprint)) {
+          overlaps.push({ kind: a.category, objects: [a.object, b.object] });
+        }
+      }
+    });
+    return overlaps;
+  }
+
+  showOverlaps(overlaps) {
+    this.overlapHelpers.forEach(helper => {
+      this.scene.remove(helper);
+      helper.dispose();
+    });
+    const objects = new Set(overlaps.flatMap(o => o.objects));
+    this.overlapHelpers = [...objects].map(o => {
+      const helper = new THREE.BoxHelper(o, 0xe74c3c);
+      this.scene.add(helper);
+      return helper;
+    });
+  }
+
+  showValidationReport() {
+    const overlaps = this.findOverlaps();
+    const labels = { building: 'Buildings overlap', prop: 'Props overlap', road: 'Building on road' };
+
+    const overlay = document.createElement('div');
+    overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;z-index:2000;font-family:monospace;font-size:12px;';
+    const rows = overlaps.map((overlap, i) => `
+      <div class="overlap-row" data-index="${i}" title="Click to select" style="padding:4px 6px;border-radius:3px;margin-bottom:2px;background:#333;cursor:pointer;">
+        <span style="color:#e74c3c;">${labels[overlap.kind]}</span>: ${overlap.objects.map(o => escapeHtml(o.name)).join(' / ')}
+      </div>`).join('');
+    overlay.innerHTML = `
+      <div style="background:#222;color:#fff;border-radius:8px;padding:16px;min-width:280px;max-width:90%;">
+        <div style="font-weight:bold;margin-bottom:8px;">Scene validation</div>
+        <div style="color:#aaa;margin-bottom:10px;">${overlaps.length ? `${overlaps.length} overlap${overlaps.length === 1 ? '' : 's'} found` : 'No overlaps found'}</div>
+        <div style="max-height:300px;overflow-y:auto;margin-bottom:10px;">${rows}</div>
+        <button data-action="close" style="width:100%;background:#555;color:#fff;border:none;padding:6px;border-radius:4px;cursor:pointer;">Close</button>
+      </div>
+    `;
+
+    overlay.addEventListener('click', (e) => {
+      const row = e.target.closest('.overlap-row');
+      if (row) {
+        const { objects } = overlaps[Number(row.dataset.index)];
+        this.setSelection(objects);
+        this.focusObjects(objects);
+      } else if (e.target !== overlay && !e.target.closest('[data-action="close"]')) {
+        return;
+      }
+      overlay.remove();
+    });
+    document.body.appendChild(overlay);
+    console.log(`Validate scene: ${overlaps.length} overlaps`);
+  }
+
+  // ==================== INSPECTOR ====================
+  // Numeric transform fields for the active object. Edits are recorded like gizmo drags.
+
+  setupInspector() {
+    const panel = document.getElementById('inspector-panel');
+    if (!panel) return;
+
+    panel.querySelectorAll('[data-inspect]').forEach(input => {
+      // Typing a value must not trigger editor shortcuts (Backspace = delete)
+      input.addEventListener('keydown', (e) => e.stopPropagation());
+      input.addEventListener('change', () => {
+        const [key, axis] = input.dataset.inspect.split('.');
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) {
+          this.setInspectedValue(key, axis, value);
+        } else {
+          this.renderInspector();
+        }
+      });
+    });
+  }
+
+  // P toggles the inspector (it opens by itself whenever something is selected)
+  toggleInspector() {
+    this.inspectorEnabled = !this.inspectorEnabled;
+    this.renderInspector();
+  }
+
+  setInspectedValue(key, axis, value) {
+    const object = this.selectedObject;
+    if (!object || object.userData.locked) return;
+
+    const before = this.captureTransform(object);
+    if (key === 'position') {
+      object.position[axis] = value;
+    } else if (key === 'rotation') {
+      object.rotation[axis] = THREE.MathUtils.degToRad(value);
+    } else if (key === 'scale') {
+      if (value === 0) {
+        this.renderInspector();
+        return;
+      }
+      const uniform = document.getElementById('inspector-uniform-scale')?.checked;
+      if (uniform && object.scale[axis] !== 0) {
+        // Keep proportions: scale every axis by the same factor
+        object.scale.multiplyScalar(value / object.scale[axis]);
+      } else {
+        object.scale[axis] = value;
+      }
+    }
+
+    const verb = { position: 'Move', rotation: 'Rotate', scale: 'Scale' }[key];
+    this.recordTransformCommand([object], [before], [this.captureTransform(object)], verb);
+    this.updateSelectionPivot();
+    this.renderInspector();
+  }
+
+  // Short description of what an object is (read-only field)
+  objectTypeLabel(object) {
+    if (object === this.car) return 'car';
+    if (this.roadPieces.includes(object)) return 'road piece';
+    if (this.utilityPoles?.includes(object)) return 'utility pole';
+    return this.copyableType(object) || 'object';
+  }
+
+  countTriangles(object) {
+    let triangles = 0;
+    object.traverse((child) => {
+      // Inverted-hull outlines copy their mesh, so they would double the count
+      if (!child.isMesh || !child.geometry || child.userData.isOutline) return;
+      const geometry = child.geometry;
+      triangles += (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+    });
+    return Math.round(triangles);
+  }
+
+  // Show the active object's values (skips the field being typed in)
+  renderInspector() {
+    const panel = document.getElementById('inspector-panel');
+    if (!panel) return;
+    const object = this.selectedObject;
+    if (!object || !this.inspectorEnabled || this.uiHidden) {
+      panel.style.display = 'none';
+      return;
+    }
+    panel.style.display = 'block';
+
+    const round = (v, digits) => Number(v.toFixed(digits));
+    const values = {
+      position: { x: round(object.position.x, 3), y: round(object.position.y, 3), z: round(object.position.z, 3) },
+      rotation: {
+        x: round(THREE.MathUtils.radToDeg(object.rotation.x), 2),
+        y: round(THREE.MathUtils.radToDeg(object.rotation.y), 2),
+        z: round(THREE.MathUtils.radToDeg(object.rotation.z), 2)
+      },
+      scale: { x: round(object.scale.x, 3), y: round(object.scale.y, 3), z: round(object.scale.z, 3) }
+    };
+    panel.querySelectorAll('[data-inspect]').forEach(input => {
+      const [key, axis] = input.dataset.inspect.split('.');
+      input.disabled = !!object.userData.locked;
+      input.style.opacity = object.userData.locked ? '0.5' : '1';
+      if (document.activeElement !== input) input.value = values[key][axis];
+    });
+
+    const others = this.selectedObjects.length - 1;
+    document.getElementById('inspector-name').textContent = object.name + (object.userData.locked ? ' (locked)' : '');
+    document.getElementById('inspector-count').textContent = others > 0 ? `+${others} selected` : '';
+    document.getElementById('inspector-type').textContent = this.objectTypeLabel(object);
+
+    const size = new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3());
+    document.getElementById('inspector-size').textContent =
+      `${size.x.toFixed(2)} x ${size.y.toFixed(2)} x ${size.z.toFixed(2)} m`;
+    if (object.userData.triangleCount === undefined) {
+      object.userData.triangleCount = this.countTriangles(object);
+    }
+    document.getElementById('inspector-triangles').textContent = object.userData.triangleCount.toLocaleString();
+  }
+
+  // Register an object as selectable for transform controls.
+  // The id keys the object in saved scenes and never changes; the name is
+  // the display name shown in the UI (unique, but editable).
+  registerSelectable(object, name, id = name) {
+    object.name = name || object.name || 'object';
+    object.userData.id = id || object.name;
+    this.selectableObjects.push(object);
+  }
+
+  // Roads and poles: rebuilt from the environment settings, so their placement is
+  // only saved once edited. They start locked so clicks on the street don't grab them.
+  registerGenerated(object, name) {
+    object.userData.generated = true;
+    object.userData.locked = true;
+    object.userData.generatedTransform = this.captureTransform(object);
+    this.registerSelectable(object, name);
+  }
+
+  // Forget objects that are about to be rebuilt (roads after a new seed)
+  unregisterSelectables(objects) {
+    const removed = new Set(objects);
+    if (this.selectedObjects.some(o => removed.has(o))) {
+      this.setSelection(this.selectedObjects.filter(o => !removed.has(o)));
+    }
+    this.selectableObjects = this.selectableObjects.filter(o => !removed.has(o));
+  }
+
+  findSelectableById(id) {
+    return this.selectableObjects.find(o => o.userData.id === id) || null;
+  }
+
+  // New id for a spawned object, e.g. "house1-k3x9f2ab"
+  generateObjectId(type) {
+    let id;
+    do {
+      id = `${type}-${Math.random().toString(36).slice(2, 10)}`;
+    } while (this.findSelectableById(id));
+    return id;
+  }
+
+  // First free display name "<base>_<n>" (exact match, so house1_1 and house10_1 never collide)
+  uniqueObjectName(base) {
+    const taken = new Set(this.selectableObjects.map(o => o.name));
+    let n = 1;
+    while (taken.has(`${base}_${n}`)) n++;
+    return `${base}_${n}`;
+  }
+
+  // Mobile zoom buttons and UI toggle
+  setupMobileZoomButtons() {
+    // Container for mobile controls (bottom right)
+    const container = document.createElement('div');
+    container.id = 'mobile-controls';
+    container.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+      z-index: 1000;
+    `;
+
+    // Button style
+    const btnStyle = `
+      width: 50px;
+      height: 50px;
+      border-radius: 50%;
       border: none;
       background: rgba(0,0,0,0.6);
       color: white;
@@ -759,7 +1798,8 @@ class LowPolyViewer {
       // Toggle visibility of all UI elements (keeps state, just hides)
       const uiElements = [
         'menu-toggle', 'scene-panel', 'building-toggle', 'building-panel',
-        'scene-menu', 'building-menu'
+        'scene-menu', 'building-menu', 'history-menu', 'outliner-menu', 'inspector-panel',
+        'touch-toolbar'
       ];
       uiElements.forEach(id => {
         const el = document.getElementById(id);
@@ -786,11 +1826,8 @@ class LowPolyViewer {
     if (this.mobileZoomInterval) return;
 
     this.mobileZoomInterval = setInterval(() => {
-      const forward = new THREE.Vector3();
-      this.camera.getWorldDirection(forward);
       const speed = 0.04;  // Very slow zoom
-      this.camera.position.addScaledVector(forward, speed * this.mobileZoomDirection);
-      this.controls.target.addScaledVector(forward, speed * this.mobileZoomDirection);
+      this.dollyCamera(speed * this.mobileZoomDirection);
     }, 16);
   }
 
@@ -803,13 +1840,27 @@ class LowPolyViewer {
   }
 
   // Scene Management Methods
-  setupSceneManager() {
-    // Load saved scenes from localStorage
-    const stored = localStorage.getItem('lowpoly_scenes');
-    if (stored) {
-      this.savedScenes = JSON.parse(stored);
+  async setupSceneManager() {
+    // Load saved scenes (IndexedDB, migrating any old localStorage scenes)
+    try {
+      const { store, scenes, issues, migration } = await openSceneStore();
+      this.sceneStore = store;
+      this.savedScenes = scenes;
+      this.reportSceneIssues('saved scenes', issues);
+      if (migration.skipped > 0) {
+        alert(`${migration.skipped} old scene(s) could not be moved to the new scene storage.\n\n` +
+          `They are kept in localStorage ("${migration.backupKey}"); see the console for details.`);
+      }
+    } catch (err) {
+      console.error('Scene storage unavailable, scenes will not persist:', err);
     }
 
+    // Flush a pending autosave when the tab is closed or hidden
+    window.addEventListener('pagehide', () => this.flushAutosave());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flushAutosave();
+    });
+
     // Menu toggle
     const menuToggle = document.getElementById('menu-toggle');
     const scenePanel = document.getElementById('scene-panel');
@@ -835,6 +1886,13 @@ class LowPolyViewer {
     if (shareBtn) {
       shareBtn.addEventListener('click', () => this.shareScene());
     }
+    const sharePrivateBtn = document.getElementById('share-private-btn');
+    if (sharePrivateBtn) {
+      sharePrivateBtn.addEventListener('click', () => this.shareScene(true));
+    }
+
+    // Scene file export/import
+    this.setupSceneFileTransfer();
 
     // Push to GitHub button
     const pushBtn = document.getElementById('push-github-btn');
@@ -853,6 +1911,12 @@ class LowPolyViewer {
     if (saveCamBtn) {
       saveCamBtn.addEventListener('click', () => this.saveCameraView());
     }
+    document.getElementById('save-bookmark-btn')?.addEventListener('click', () => this.saveCameraBookmark());
+    this.setupCameraSequenceControls();
+    this.setupLensControls();
+    this.setupProjectionControls();
+    document.getElementById('export-image-btn')?.addEventListener('click', () => this.showImageExportDialog());
+    document.getElementById('export-frames-btn')?.addEventListener('click', () => this.showFrameExportDialog());
 
     // Render initial lists
     this.renderSceneList();
@@ -885,37 +1949,274 @@ class LowPolyViewer {
       buildingPanel.style.display = buildingPanel.style.display === 'none' ? 'block' : 'none';
     });
 
-    // Spawn buttons
+    // Spawn buttons: place with the mouse on desktop, drop at the view center on touch devices
     document.querySelectorAll('.spawn-building-btn').forEach(btn => {
       btn.addEventListener('click', () => {
-        this.spawnBuilding(btn.dataset.building);
+        if (this.transformControls) {
+          this.startPlacement(btn.dataset.building);
+        } else {
+          this.spawnBuilding(btn.dataset.building);
+        }
       });
     });
   }
 
-  async spawnBuilding(type) {
+  setupHistoryPanel() {
+    const historyToggle = document.getElementById('history-toggle');
+    const historyPanel = document.getElementById('history-panel');
+    if (!historyToggle || !historyPanel) return;
+
+    historyToggle.addEventListener('click', () => {
+      historyPanel.style.display = historyPanel.style.display === 'none' ? 'block' : 'none';
+    });
+    document.getElementById('history-undo-btn').addEventListener('click', () => this.undo());
+    document.getElementById('history-redo-btn').addEventListener('click', () => this.redo());
+
+    this.history.onChange = () => this.onHistoryChange();
+    this.renderHistoryList();
+  }
+
+  // Every recorded/undone/redone step refreshes the panel and queues an autosave
+  onHistoryChange() {
+    this.renderHistoryList();
+    this.renderOutliner();
+    this.renderInspector();
+    this.renderTouchToolbar();
+    if (this.history.commands.length > 0) {
+      this.scheduleAutosave();
+    }
+  }
+
+  // Render history steps; clicking a step jumps the scene to that point
+  renderHistoryList() {
+    const container = document.getElementById('history-list');
+    if (!container) return;
+
+    const steps = ['Initial state', ...this.history.commands.map(c => c.label)];
+    container.innerHTML = steps.map((label, index) => {
+      const isCurrent = index === this.history.cursor;
+      const isUndone = index > this.history.cursor;
+      return `
+        <button class="history-step-btn" data-index="${index}" style="display:block;width:100%;background:${isCurrent ? '#74b9ff' : '#444'};color:${isCurrent ? '#000' : '#fff'};opacity:${isUndone ? '0.45' : '1'};border:none;padding:4px 6px;border-radius:3px;cursor:pointer;text-align:left;font-size:10px;margin-bottom:3px;">${escapeHtml(label)}</button>
+      `;
+    }).join('');
+
+    container.querySelectorAll('.history-step-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.history.jumpTo(Number(btn.dataset.index)));
+    });
+    container.scrollTop = container.scrollHeight;
+
+    const undoBtn = document.getElementById('history-undo-btn');
+    const redoBtn = document.getElementById('history-redo-btn');
+    if (undoBtn) undoBtn.style.opacity = this.history.canUndo() ? '1' : '0.5';
+    if (redoBtn) redoBtn.style.opacity = this.history.canRedo() ? '1' : '0.5';
+  }
+
+  // ==================== OUTLINER ====================
+
+  setupOutliner() {
+    const toggle = document.getElementById('outliner-toggle');
+    const panel = document.getElementById('outliner-panel');
+    const list = document.getElementById('outliner-list');
+    const search = document.getElementById('outliner-search');
+    if (!toggle || !panel) return;
+
+    toggle.addEventListener('click', () => {
+      panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+      this.renderOutliner();
+    });
+    search.addEventListener('input', () => this.renderOutliner());
+    document.getElementById('validate-scene-btn')?.addEventListener('click', () => this.showValidationReport());
+    // Typing a search must not trigger editor shortcuts (Backspace = delete)
+    search.addEventListener('keydown', (e) => e.stopPropagation());
+
+    // One delegated handler, since rows are re-rendered on every change
+    list.addEventListener('click', (e) => {
+      const row = e.target.closest('.outliner-row');
+      const object = row && this.findSelectableById(row.dataset.id);
+      if (!object) return;
+
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action === 'hidden') {
+        this.setObjectFlag(object, 'hidden', object.visible);
+      } else if (action === 'locked') {
+        this.setObjectFlag(object, 'locked', !object.userData.locked);
+      } else if (action === 'rename') {
+        this.startOutlinerRename(row, object);
+      } else if (e.shiftKey) {
+        this.toggleSelection(object);
+      } else {
+        this.setSelection([object]);
+      }
+    });
+    list.addEventListener('dblclick', (e) => {
+      const row = e.target.closest('.outliner-row');
+      const object = row && this.findSelectableById(row.dataset.id);
+      if (object && !e.target.closest('[data-action]')) this.focusObjects([object]);
+    });
+  }
+
+  outlinerGroup(object) {
+    if (object === this.car) return 'Car';
+    if (this.roadPieces.includes(object)) return 'Roads';
+    if (this.utilityPoles?.includes(object) || PROP_TYPES.has(this.copyableType(object))) return 'Props';
+    return 'Buildings';
+  }
+
+  // Rebuild the list (only while the panel is open)
+  renderOutliner() {
+    const panel = document.getElementById('outliner-panel');
+    const list = document.getElementById('outliner-list');
+    if (!panel || !list || panel.style.display === 'none') return;
+
+    const query = document.getElementById('outliner-search').value.trim().toLowerCase();
+    const groups = Object.fromEntries(OUTLINER_GROUPS.map(g => [g, []]));
+    this.selectableObjects
+      .filter(o => !query || o.name.toLowerCase().includes(query))
+      .forEach(o => groups[this.outlinerGroup(o)].push(o));
+
+    const iconBtn = 'background:none;border:none;color:#ccc;cursor:pointer;padding:0 2px;font-size:11px;';
+    list.innerHTML = OUTLINER_GROUPS.filter(g => groups[g].length > 0).map(group => `
+      <div style="color:#888;font-size:10px;margin:6px 0 3px;">${group} (${groups[group].length})</div>
+      ${groups[group].map(o => {
+        const selected = this.selectedObjects.includes(o);
+        const active = o === this.selectedObject;
+        return `
+        <div class="outliner-row" data-id="${escapeHtml(o.userData.id)}" style="display:flex;align-items:center;gap:2px;padding:2px 4px;border-radius:3px;margin-bottom:1px;background:${active ? '#74b9ff55' : selected ? '#74b9ff22' : 'transparent'};">
+          <span class="outliner-name" title="Click to select, Shift+click to add, double-click to focus" style="flex:1;cursor:pointer;color:${o.visible ? '#fff' : '#777'};font-size:11px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${escapeHtml(o.name)}</span>
+          <button data-action="rename" title="Rename" style="${iconBtn}">&#9998;</button>
+          <button data-action="hidden" title="${o.visible ? 'Hide' : 'Show'}" style="${iconBtn}opacity:${o.visible ? 1 : 0.4};">&#128065;</button>
+          <button data-action="locked" title="${o.userData.locked ? 'Unlock' : 'Lock'}" style="${iconBtn}opacity:${o.userData.locked ? 1 : 0.4};">${o.userData.locked ? '&#128274;' : '&#128275;'}</button>
+        </div>`;
+      }).join('')}
+    `).join('') || '<div style="color:#666;font-size:10px;text-align:center;">No matching objects</div>';
+  }
+
+  // Swap a row's label for an input; Enter renames (through history), Esc cancels
+  startOutlinerRename(row, object) {
+    const label = row.querySelector('.outliner-name');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = object.name;
+    input.style.cssText = 'flex:1;min-width:0;padding:1px 3px;border:none;border-radius:2px;background:#333;color:#fff;font-size:11px;';
+    label.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+      if (commit) this.renameObject(object, input.value.trim());
+      this.renderOutliner();
+    };
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  // Hide/show or lock/unlock an object (undoable, saved in scene state)
+  setObjectFlag(object, flag, value) {
+    const apply = (v) => {
+      if (flag === 'hidden') {
+        object.visible = !v;
+      } else {
+        object.userData.locked = v;
+      }
+      // Refresh the gizmo: hidden/locked objects can't be transformed
+      if (this.selectedObjects.includes(object)) {
+        this.setSelection(this.selectedObjects, this.selectedObject);
+      }
+    };
+    apply(value);
+
+    const verb = flag === 'hidden' ? (value ? 'Hide' : 'Show') : (value ? 'Lock' : 'Unlock');
+    this.history.record({
+      label: `${verb} ${object.name}`,
+      objects: [object],
+      undo: () => apply(!value),
+      redo: () => apply(value)
+    });
+  }
+
+  // Animate the camera to look at objects from the current view direction.
+  // Camera and target move together, so the wheel dolly carries on from the new spot.
+  focusObjects(objects) {
+    const box = new THREE.Box3();
+    objects.forEach(o => box.expandByObject(o));
+    if (box.isEmpty()) return;
+
+    const center = box.getCenter(new THREE.Vector3());
+    const radius = box.getBoundingSphere(new THREE.Sphere()).radius;
+    const direction = this.camera.position.clone().sub(this.controls.target).normalize();
+    const end = { target: center, mode: 'orbit' };
+    if (this.camera.isOrthographicCamera) {
+      // Distance doesn't change the picture, zoom does
+      end.position = center.clone().addScaledVector(direction, this.camera.position.distanceTo(this.controls.target));
+      end.zoom = fitOrthoZoom(radius, this.camera.right / this.camera.top);
+    } else {
+      // Fit the narrower of the vertical and horizontal field of view
+      const vertical = THREE.MathUtils.degToRad(this.camera.getEffectiveFOV());
+      const horizontal = 2 * Math.atan(Math.tan(vertical / 2) * this.camera.aspect);
+      const distance = Math.max(radius / Math.sin(Math.min(vertical, horizontal) / 2), 2);
+      end.position = center.clone().addScaledVector(direction, distance);
+    }
+
+    this.animateCameraTo(end, { duration: 0.3, easing: 'easeOutCubic' });
+    const names = objects.length > 3 ? `${objects.length} objects` : objects.map(o => o.name).join(', ');
+    console.log(`Focused on ${names}`);
+  }
+
+  frameSelection() {
+    if (this.selectedObjects.length === 0) {
+      console.log('Nothing selected to frame (Shift+F frames everything)');
+      return;
+    }
+    this.focusObjects(this.selectedObjects);
+  }
+
+  frameAll() {
+    this.focusObjects(this.selectableObjects.filter(o => o.visible));
+  }
+
+  // `placement` ({ position, rotationY }) comes from the ghost preview; without it the
+  // building drops at the camera target
+  async spawnBuilding(type, placement = null) {
     const path = this.buildingPaths[type];
     if (!path) {
       console.error(`Unknown building type: ${type}`);
       return;
     }
 
-    // Push undo state before spawning
-    this.pushUndoState();
-
     const building = await this.loadModel(path);
     if (building) {
-      // Spawn at camera target position
-      building.position.copy(this.controls.target);
-      building.position.y = 0;
+      if (placement) {
+        building.position.copy(placement.position);
+        building.rotation.y = placement.rotationY;
+      } else {
+        // Spawn at camera target position (on the nearest road frontage in snap mode)
+        building.position.copy(this.controls.target);
+        building.position.y = 0;
+        if (this.roadSnap.enabled) this.applyRoadSnap(building);
+      }
 
       // Mark as spawned object for scene save/load
       building.userData.spawnedType = type;
 
-      // Generate unique name
-      const count = this.selectableObjects.filter(o => o.name.startsWith(type)).length + 1;
-      const name = `${type}_${count}`;
-      this.registerSelectable(building, name);
+      // Stable id for scene state, plus a free display name
+      const name = this.uniqueObjectName(type);
+      this.registerSelectable(building, name, this.generateObjectId(type));
+
+      this.history.record({
+        label: `Spawn ${name}`,
+        objects: [building],
+        undo: () => this.detachSelectable(building),
+        redo: () => this.attachSelectable(building),
+        dispose: (applied) => { if (!applied) this.disposeObject(building); }
+      });
 
       // Auto-select the new building
       this.selectObject(building);
@@ -924,6 +2225,140 @@ class LowPolyViewer {
     }
   }
 
+  // ==================== PLACEMENT ====================
+  // "+ Add" shows a translucent ghost that follows the cursor on the ground or road.
+  // Wheel / R turn it 90 degrees, click places it, Shift+click places and keeps going, Esc cancels.
+
+  async startPlacement(type) {
+    const path = this.buildingPaths[type];
+    if (!path) {
+      console.error(`Unknown building type: ${type}`);
+      return;
+    }
+
+    this.cancelPlacement();
+    this.deselectObject();
+    const placement = { type, ghost: null, rotation: 0 };
+    this.placement = placement;
+    this.showPlacementHint(`Placing ${type}: click to place, Shift+click for more, wheel / R to rotate, Esc to cancel`);
+
+    const ghost = await this.loadModel(path);
+    if (!ghost) {
+      if (this.placement === placement) this.cancelPlacement();
+      return;
+    }
+    // Cancelled (or another type picked) while the model was loading
+    if (this.placement !== placement) {
+      this.scene.remove(ghost);
+      this.disposeObject(ghost);
+      return;
+    }
+
+    ghost.traverse((child) => {
+      if (!child.isMesh) return;
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      const ghostMaterials = materials.map(m => {
+        const material = m.clone();
+        material.transparent = true;
+        material.opacity = 0.45;
+        material.depthWrite = false;
+        return material;
+      });
+      materials.forEach(m => m.dispose());
+      child.material = Array.isArray(child.material) ? ghostMaterials : ghostMaterials[0];
+      child.castShadow = false;
+      child.raycast = () => {};
+    });
+    placement.ghost = ghost;
+    this.updatePlacementGhost();
+  }
+
+  // Ground (or road surface) point under the cursor
+  placementPointUnderCursor() {
+    const ground = this.groundPointUnderCursor();
+    if (!ground) return null;
+
+    // The raycaster is already set up for the cursor by groundPointUnderCursor()
+    const roadHit = this.raycaster.intersectObjects(this.roadPieces.filter(p => p.visible), true)[0];
+    return roadHit ? roadHit.point : ground;
+  }
+
+  updatePlacementGhost() {
+    const ghost = this.placement?.ghost;
+    if (!ghost) return;
+    const point = this.placementPointUnderCursor();
+    if (!point) {
+      ghost.visible = false;
+      return;
+    }
+    ghost.visible = true;
+    ghost.position.copy(point);
+    ghost.rotation.set(0, this.placement.rotation * Math.PI / 2, 0);
+    if (this.roadSnap.enabled) this.applyRoadSnap(ghost);
+  }
+
+  rotatePlacement(steps) {
+    this.placement.rotation = (this.placement.rotation + steps + 4) % 4;
+    this.updatePlacementGhost();
+  }
+
+  async commitPlacement(keepPlacing = false) {
+    const placement = this.placement;
+    if (!placement?.ghost?.visible) return;
+
+    const target = {
+      position: placement.ghost.position.clone(),
+      rotationY: placement.ghost.rotation.y
+    };
+    if (!keepPlacing) this.cancelPlacement();
+    await this.spawnBuilding(placement.type, target);
+    // Keep the gizmo out of the way of the next placement
+    if (this.placement === placement) this.deselectObject();
+  }
+
+  cancelPlacement() {
+    const placement = this.placement;
+    if (!placement) return;
+    this.placement = null;
+    if (placement.ghost) {
+      this.scene.remove(placement.ghost);
+      this.disposeObject(placement.ghost);
+    }
+    this.showPlacementHint(null);
+  }
+
+  // Returns true if the key was used by placement mode
+  onPlacementKey(e) {
+    if (e.code === 'Escape') {
+      this.cancelPlacement();
+      console.log('Placement cancelled');
+      return true;
+    }
+    if (e.code === 'KeyR' && !e.ctrlKey && !e.metaKey) {
+      this.rotatePlacement(e.shiftKey ? -1 : 1);
+      return true;
+    }
+    return false;
+  }
+
+  showPlacementHint(text) {
+    let hint = document.getElementById('placement-hint');
+    if (!text) {
+      if (hint) hint.style.display = 'none';
+      this.renderer.domElement.style.cursor = '';
+      return;
+    }
+    if (!hint) {
+      hint = document.createElement('div');
+      hint.id = 'placement-hint';
+      hint.style.cssText = 'position:fixed;bottom:60px;left:50%;transform:translateX(-50%);background:rgba(0,0,0,0.8);color:#fff;padding:6px 12px;border-radius:6px;font-family:monospace;font-size:11px;z-index:60;pointer-events:none;';
+      document.body.appendChild(hint);
+    }
+    hint.textContent = text;
+    hint.style.display = 'block';
+    this.renderer.domElement.style.cursor = 'crosshair';
+  }
+
   saveDefaultSceneState() {
     this.defaultSceneState = this.captureSceneState();
     console.log('Default scene state saved');
@@ -942,13 +2377,21 @@ class LowPolyViewer {
         y: this.controls.target.y,
         z: this.controls.target.z
       },
-      zoom: this.camera.zoom
+      zoom: this.camera.zoom,
+      fov: this.perspectiveCamera.fov,
+      near: this.camera.near,
+      far: this.camera.far,
+      roll: this.cameraRoll,
+      mode: this.cameraMode,
+      projection: this.cameraProjection
     };
   }
 
   // Apply a camera state
   applyCameraState(camState) {
     if (!camState) return;
+    // Switch cameras first so the rest lands on the right one
+    if (camState.projection !== undefined) this.setProjection(camState.projection);
     if (camState.position) {
       this.camera.position.set(camState.position.x, camState.position.y, camState.position.z);
     }
@@ -957,100 +2400,1003 @@ class LowPolyViewer {
     }
     if (camState.zoom !== undefined) {
       this.camera.zoom = camState.zoom;
-      this.camera.updateProjectionMatrix();
     }
+    // Lens fields only when given (focus / reset transitions keep the current lens).
+    // Both cameras share the clip planes; the FOV waits on the perspective one.
+    if (camState.fov !== undefined) this.perspectiveCamera.fov = camState.fov;
+    [this.perspectiveCamera, this.orthoCamera].forEach(camera => {
+      if (camState.near !== undefined) camera.near = camState.near;
+      if (camState.far !== undefined) camera.far = camState.far;
+      camera.updateProjectionMatrix();
+    });
+    if (camState.roll !== undefined) this.cameraRoll = camState.roll;
+    if (camState.mode !== undefined) this.setCameraMode(camState.mode);
+    this.camera.updateProjectionMatrix();
+    this.updateCameraRoll();
     this.controls.update();
+    this.renderLensControls();
   }
 
-  captureSceneState() {
-    const state = {
-      transforms: {},
-      spawned: [], // Track dynamically spawned objects
-      cameraViews: this.currentCameraViews || { 'Default': this.captureCameraState() },
-      activeCameraView: this.activeCameraView || 'Default'
-    };
+  // A saved view as a full camera state: views from before lenses, camera modes and
+  // projections get the default lens, orbit and perspective
+  savedViewState(view) {
+    return view ? { mode: DEFAULT_CAMERA_MODE, projection: DEFAULT_PROJECTION, ...withLensDefaults(view) } : view;
+  }
 
-    // Update the active camera view with current camera position
-    state.cameraViews[state.activeCameraView] = this.captureCameraState();
+  // Tilt the camera's up vector around the view axis; lookAt() then applies the roll
+  updateCameraRoll() {
+    if (this.cameraRoll === 0 && this.camera.up.y === 1) return;
+    const forward = this.controls.target.clone().sub(this.camera.position).normalize();
+    this.camera.up.set(0, 1, 0);
+    if (this.cameraRoll !== 0) {
+      this.camera.up.applyAxisAngle(forward, THREE.MathUtils.degToRad(this.cameraRoll));
+    }
+  }
 
-    this.selectableObjects.forEach(obj => {
-      state.transforms[obj.name] = {
-        position: { x: obj.position.x, y: obj.position.y, z: obj.position.z },
-        rotation: { x: obj.rotation.x, y: obj.rotation.y, z: obj.rotation.z },
-        scale: { x: obj.scale.x, y: obj.scale.y, z: obj.scale.z }
-      };
-      // Track if this was a spawned object (has spawnedType marker)
-      if (obj.userData.spawnedType) {
-        state.spawned.push({
-          name: obj.name,
-          type: obj.userData.spawnedType
-        });
-      }
-    });
-    return state;
+  // ==================== CAMERA MODES ====================
+  // Orbit (OrbitControls), walk (first person) and chase (follows the car). Walk and
+  // chase drive the camera themselves in animate() and keep controls.target in front
+  // of it, so switching back to orbit pivots around what the camera was looking at.
+
+  setCameraMode(mode, { interactive = false } = {}) {
+    if (!CAMERA_MODES.includes(mode)) mode = DEFAULT_CAMERA_MODE;
+    if (mode === 'chase' && !this.car) {
+      console.log('Chase camera needs the car - staying in orbit');
+      mode = 'orbit';
+    }
+    if (mode === this.cameraMode) return;
+
+    this.cameraMode = mode;
+    this.controls.enabled = mode === 'orbit';
+    if (mode !== 'orbit') this.setProjection('perspective');  // Walking in a flat projection makes no sense
+    this.heldKeys.clear();
+    this.walkLook = { x: 0, y: 0 };
+
+    if (mode === 'walk') {
+      if (interactive) this.requestWalkLook();
+    } else if (document.pointerLockElement === this.renderer.domElement) {
+      document.exitPointerLock();
+    }
+
+    const hints = {
+      walk: 'Walk: W A S D to move, Shift to sprint, click to look around with the mouse, V for next mode',
+      chase: 'Chase: following the car, V for next mode'
+    };
+    this.showCameraModeHint(hints[mode] || null);
+    console.log(`Camera mode: ${mode}`);
   }
 
-  async applySceneState(state) {
-    // Handle old format (just transforms) vs new format (transforms + spawned)
-    const transforms = state.transforms || state;
-    const spawned = state.spawned || [];
+  cycleCameraMode() {
+    const next = CAMERA_MODES[(CAMERA_MODES.indexOf(this.cameraMode) + 1) % CAMERA_MODES.length];
+    this.stopCameraSequence();
+    this.cancelCameraTween();
+    this.setCameraMode(next, { interactive: true });
+  }
 
-    // First, remove any previously spawned objects that aren't in this scene
-    const spawnedNames = spawned.map(s => s.name);
-    const toRemove = this.selectableObjects.filter(obj =>
-      obj.userData.spawnedType && !spawnedNames.includes(obj.name)
-    );
-    toRemove.forEach(obj => {
-      this.scene.remove(obj);
-      const idx = this.selectableObjects.indexOf(obj);
-      if (idx > -1) this.selectableObjects.splice(idx, 1);
-    });
+  // Mouse-look needs pointer lock, which the browser only grants from a user gesture
+  requestWalkLook() {
+    const request = this.renderer.domElement.requestPointerLock?.();
+    request?.catch?.(err => console.log('Pointer lock refused:', err.message));
+  }
 
-    // Recreate spawned objects that don't exist yet
-    for (const spawnData of spawned) {
-      const exists = this.selectableObjects.find(o => o.name === spawnData.name);
-      if (!exists && this.buildingPaths[spawnData.type]) {
-        const building = await this.loadModel(this.buildingPaths[spawnData.type]);
-        if (building) {
-          building.userData.spawnedType = spawnData.type;
-          this.registerSelectable(building, spawnData.name);
-        }
-      }
+  showCameraModeHint(text) {
+    let hint = document.getElementById('camera-mode-hint');
+    if (!text) {
+      if (hint) hint.style.display = 'none';
+      return;
+    }
+    if (!hint) {
+      hint = document.createElement('div');
+      hint.id = 'camera-mode-hint';
+      hint.style.cssText = 'position:fixed;top:10px;left:50%;transform:translateX(-50%);background:rgba(0,0,0,0.7);color:#fff;padding:6px 12px;border-radius:6px;font-family:monospace;font-size:11px;z-index:60;pointer-events:none;';
+      document.body.appendChild(hint);
     }
+    hint.textContent = text;
+    hint.style.display = 'block';
+  }
 
-    // Apply transforms
-    this.selectableObjects.forEach(obj => {
-      const data = transforms[obj.name];
+  setupCameraModeInput() {
+    const movementKeys = new Set(['KeyW', 'KeyA', 'KeyS', 'KeyD', 'ShiftLeft', 'ShiftRight']);
+    document.addEventListener('keydown', (e) => {
+      if (this.cameraMode !== 'walk' || this.isEditingText(e.target)) return;
+      if (movementKeys.has(e.code) && !e.ctrlKey && !e.metaKey) this.heldKeys.add(e.code);
+    });
+    document.addEventListener('keyup', (e) => this.heldKeys.delete(e.code));
+    window.addEventListener('blur', () => this.heldKeys.clear());
+
+    document.addEventListener('mousemove', (e) => {
+      if (this.cameraMode !== 'walk' || document.pointerLockElement !== this.renderer.domElement) return;
+      this.walkLook.x += e.movementX;
+      this.walkLook.y += e.movementY;
+    });
+  }
+
+  // Height of the ground (grass tiles, roads) under a point, or 0 off the map
+  groundHeightAt(x, z) {
+    const surfaces = [...this.worldGrid.values()].map(cell => cell.mesh)
+      .concat(this.roadPieces.filter(p => p.visible));
+    this.raycaster.set(new THREE.Vector3(x, 1000, z), new THREE.Vector3(0, -1, 0));
+    const hit = this.raycaster.intersectObjects(surfaces, true)[0];
+    return hit ? hit.point.y : 0;
+  }
+
+  updateWalk(dt) {
+    const held = (code) => this.heldKeys.has(code) ? 1 : 0;
+    const { position, direction } = walkStep(this.camera.position, this.controls.target, {
+      look: this.walkLook,
+      move: { forward: held('KeyW') - held('KeyS'), right: held('KeyD') - held('KeyA') },
+      sprint: held('ShiftLeft') || held('ShiftRight')
+    }, dt);
+    this.walkLook = { x: 0, y: 0 };
+
+    position.y = this.groundHeightAt(position.x, position.z) + WALK.eyeHeight;
+    this.camera.position.copy(position);
+    this.controls.target.copy(position).addScaledVector(direction, WALK.lookDistance);
+    this.camera.lookAt(this.controls.target);
+  }
+
+  updateChase(dt) {
+    if (!this.car) {
+      this.setCameraMode('orbit');
+      return;
+    }
+    const spoiler = this.car.getObjectByName('spoiler');
+    const bounds = new THREE.Box3().setFromObject(spoiler || this.car);
+    const goal = chaseGoal(this.car, bounds.max.y);
+
+    const blend = chaseBlend(dt);
+    this.camera.position.lerp(goal.position, blend);
+    this.controls.target.lerp(goal.target, blend);
+    this.camera.lookAt(this.controls.target);
+  }
+
+  // ==================== PROJECTION ====================
+  // Perspective, or orthographic for the plan and isometric diorama presets. Both
+  // cameras stay alive; switching hands the pose over and points OrbitControls,
+  // TransformControls and picking (which all read this.camera) at the new one.
+
+  setProjection(projection) {
+    if (!PROJECTIONS.includes(projection)) projection = DEFAULT_PROJECTION;
+    if (projection === this.cameraProjection) return;
+
+    const from = this.camera;
+    const to = projection === 'orthographic' ? this.orthoCamera : this.perspectiveCamera;
+    to.position.copy(from.position);
+    to.quaternion.copy(from.quaternion);
+    to.up.copy(from.up);
+    if (to.isOrthographicCamera) {
+      // Keep the framing at the target, so the switch only flattens the picture
+      to.zoom = matchingOrthoZoom(from.getEffectiveFOV(), from.position.distanceTo(this.controls.target));
+    }
+    to.updateProjectionMatrix();
+
+    this.camera = to;
+    this.cameraProjection = projection;
+    this.controls.object = to;
+    if (this.transformControls) this.transformControls.camera = to;
+    if (projection === 'orthographic') this.setCameraMode('orbit');
+    this.controls.update();
+    this.renderProjectionControls();
+    console.log(`Projection: ${projection}`);
+  }
+
+  toggleProjection() {
+    this.setProjection(this.cameraProjection === 'orthographic' ? 'perspective' : 'orthographic');
+  }
+
+  // Plan or isometric: orthographic, centered on the visible objects and zoomed to fit them
+  applyOrthoPreset(name) {
+    if (!ORTHO_PRESETS[name]) return;
+    const bounds = new THREE.Box3();
+    this.selectableObjects.filter(o => o.visible).forEach(o => bounds.expandByObject(o));
+    const target = bounds.isEmpty() ? this.controls.target.clone() : bounds.getCenter(new THREE.Vector3());
+    target.y = 0;
+    const radius = bounds.isEmpty() ? ORTHO_VIEW_HEIGHT / 2 : bounds.getBoundingSphere(new THREE.Sphere()).radius;
+
+    this.stopCameraSequence();
+    this.setProjection('orthographic');
+    this.animateCameraTo(orthoPresetState(name, target, radius), { duration: 0.3, easing: 'easeOutCubic' });
+
+    // Laying out against the road grid: show the grid
+    if (name === 'plan' && this.gridHelper) this.gridHelper.visible = true;
+    console.log(`${ORTHO_PRESETS[name].label} view`);
+  }
+
+  setupProjectionControls() {
+    const container = document.getElementById('camera-projection-buttons');
+    if (!container) return;
+
+    const buttons = [
+      { id: 'perspective', label: 'Persp', title: 'Perspective camera' },
+      ...Object.entries(ORTHO_PRESETS).map(([id, preset]) => ({ id, label: preset.label, title: `${preset.label} view (orthographic)` }))
+    ];
+    container.innerHTML = buttons.map(b =>
+      `<button data-projection="${b.id}" title="${b.title}" style="flex:1;background:#555;color:#fff;border:none;padding:2px 4px;border-radius:3px;cursor:pointer;font-size:9px;">${b.label}</button>`
+    ).join('');
+    container.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-projection]');
+      if (!btn) return;
+      if (btn.dataset.projection === 'perspective') {
+        this.stopCameraSequence();
+        this.cancelCameraTween();
+        this.setProjection('perspective');
+      } else {
+        this.applyOrthoPreset(btn.dataset.projection);
+      }
+    });
+
+    this.renderProjectionControls();
+  }
+
+  renderProjectionControls() {
+    const container = document.getElementById('camera-projection-buttons');
+    if (!container) return;
+    container.querySelectorAll('button[data-projection]').forEach(btn => {
+      const orthographic = btn.dataset.projection !== 'perspective';
+      const active = orthographic === (this.cameraProjection === 'orthographic');
+      btn.style.background = active ? '#8e44ad' : '#555';
+    });
+  }
+
+  // ==================== LENS ====================
+  // FOV / focal length, clip planes and roll of the live camera. Saving (or switching
+  // away from) a view stores them with it, like the camera position.
+
+  setLens(changes) {
+    this.applyCameraState(changes);
+    const fov = this.perspectiveCamera.fov;
+    console.log(`Lens: ${fov.toFixed(1)}° (${fovToFocalLength(fov).toFixed(0)}mm), near ${this.camera.near}, far ${this.camera.far}, roll ${this.cameraRoll}°`);
+  }
+
+  setupLensControls() {
+    const inputs = {
+      fov: document.getElementById('lens-fov'),
+      focal: document.getElementById('lens-focal'),
+      near: document.getElementById('lens-near'),
+      far: document.getElementById('lens-far'),
+      roll: document.getElementById('lens-roll')
+    };
+    const presets = document.getElementById('lens-presets');
+    if (Object.values(inputs).some(input => !input) || !presets) return;
+
+    presets.innerHTML = FOCAL_LENGTH_PRESETS.map(mm =>
+      `<button data-mm="${mm}" title="${mm}mm lens" style="background:#555;color:#fff;border:none;padding:1px 4px;border-radius:3px;cursor:pointer;font-size:9px;">${mm}</button>`
+    ).join('');
+    presets.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-mm]');
+      if (btn) this.setLens({ fov: focalLengthToFov(Number(btn.dataset.mm)) });
+    });
+
+    const onChange = (input, toChanges, isValid) => {
+      input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value) && isValid(value)) {
+          this.setLens(toChanges(value));
+        } else {
+          this.renderLensControls();
+        }
+      });
+    };
+    onChange(inputs.fov, (fov) => ({ fov }), (v) => v > 0 && v < 180);
+    onChange(inputs.focal, (mm) => ({ fov: focalLengthToFov(mm) }), (v) => v > 0);
+    onChange(inputs.near, (near) => ({ near }), (v) => v > 0 && v < this.camera.far);
+    onChange(inputs.far, (far) => ({ far }), (v) => v > this.camera.near);
+    onChange(inputs.roll, (roll) => ({ roll }), () => true);
+
+    this.renderLensControls();
+  }
+
+  renderLensControls() {
+    const values = {
+      'lens-fov': this.perspectiveCamera.fov.toFixed(1),
+      'lens-focal': fovToFocalLength(this.perspectiveCamera.fov).toFixed(0),
+      'lens-near': this.camera.near,
+      'lens-far': this.camera.far,
+      'lens-roll': this.cameraRoll
+    };
+    Object.entries(values).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      // Don't overwrite a field while it's being typed in
+      if (input && document.activeElement !== input) input.value = value;
+    });
+  }
+
+  // Fly the camera to a camera state. Resolves true when it arrives, false if
+  // another transition (or the user grabbing the camera) interrupted it.
+  animateCameraTo(camState, { duration = DEFAULT_TRANSITION.duration, easing = DEFAULT_TRANSITION.easing } = {}) {
+    this.cancelCameraTween();
+    if (!camState) return Promise.resolve(false);
+    if (duration <= 0) {
+      this.applyCameraState(camState);
+      return Promise.resolve(true);
+    }
+
+    // A projection change can't be blended: switch first, then fly in the new camera
+    if (camState.projection !== undefined) this.setProjection(camState.projection);
+    const from = this.captureCameraState();
+    const startTime = performance.now();
+    return new Promise((resolve) => {
+      const tween = { frame: 0, resolve };
+      const step = () => {
+        const t = Math.min((performance.now() - startTime) / (duration * 1000), 1);
+        this.applyCameraState(interpolateCameraState(from, camState, ease(easing, t)));
+        if (t < 1) {
+          tween.frame = requestAnimationFrame(step);
+        } else {
+          this.cameraTween = null;
+          resolve(true);
+        }
+      };
+      this.cameraTween = tween;
+      step();
+    });
+  }
+
+  cancelCameraTween() {
+    const tween = this.cameraTween;
+    if (!tween) return;
+    this.cameraTween = null;
+    cancelAnimationFrame(tween.frame);
+    tween.resolve(false);
+  }
+
+  // ==================== CAMERA SEQUENCES ====================
+  // Play Sequence flies through the scene's views in order, using each view's
+  // transition and hold time. Grabbing the camera (or pressing Stop) ends it.
+
+  async playCameraSequence() {
+    const steps = sequenceSteps(this.currentCameraViews, this.cameraViewNames());
+    if (steps.length === 0) {
+      console.log('No camera views to play');
+      return;
+    }
+    this.stopCameraSequence();
+    const playback = { stopped: false, wake: null };
+    this.sequencePlayback = playback;
+    this.renderCameraSequenceControls();
+    console.log(`Playing camera sequence (${steps.length} views)`);
+
+    for (const step of steps) {
+      this.activeCameraView = step.name;
+      this.renderCameraViewList();
+      const arrived = await this.animateCameraTo(this.savedViewState(step.view), step.transition);
+      if (!arrived || playback.stopped) break;
+
+      // Hold, unless stopped in the meantime
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, step.hold * 1000);
+        playback.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      if (playback.stopped) break;
+    }
+
+    if (this.sequencePlayback === playback) {
+      this.sequencePlayback = null;
+      this.renderCameraSequenceControls();
+      console.log('Camera sequence finished');
+    }
+  }
+
+  stopCameraSequence() {
+    const playback = this.sequencePlayback;
+    if (!playback) return;
+    playback.stopped = true;
+    playback.wake?.();
+    this.sequencePlayback = null;
+    this.cancelCameraTween();
+    this.renderCameraSequenceControls();
+    console.log('Camera sequence stopped');
+  }
+
+  setupCameraSequenceControls() {
+    const duration = document.getElementById('view-transition-duration');
+    const easing = document.getElementById('view-transition-easing');
+    const hold = document.getElementById('view-hold');
+    const playBtn = document.getElementById('play-sequence-btn');
+    if (!duration || !easing || !hold || !playBtn) return;
+
+    easing.innerHTML = Object.keys(EASINGS)
+      .map(name => `<option value="${name}">${name}</option>`)
+      .join('');
+
+    const update = (label, changes) => {
+      const view = this.currentCameraViews?.[this.activeCameraView];
+      if (!view) return;
+      const before = this.snapshotCameraViews();
+      Object.assign(view, changes(view));
+      this.recordCameraViewCommand(`${label} ${this.activeCameraView}`, before);
+      this.persistCurrentScene();
+      this.renderCameraSequenceControls();
+    };
+    duration.addEventListener('change', () => {
+      const value = parseFloat(duration.value);
+      if (!Number.isFinite(value) || value < 0) {
+        this.renderCameraSequenceControls();
+        return;
+      }
+      update('Transition', (view) => ({ transition: { ...DEFAULT_TRANSITION, ...view.transition, duration: value } }));
+    });
+    easing.addEventListener('change', () => {
+      update('Easing', (view) => ({ transition: { ...DEFAULT_TRANSITION, ...view.transition, easing: easing.value } }));
+    });
+    hold.addEventListener('change', () => {
+      const value = parseFloat(hold.value);
+      if (!Number.isFinite(value) || value < 0) {
+        this.renderCameraSequenceControls();
+        return;
+      }
+      update('Hold', () => ({ hold: value }));
+    });
+
+    playBtn.addEventListener('click', () => {
+      if (this.sequencePlayback) {
+        this.stopCameraSequence();
+      } else {
+        this.playCameraSequence();
+      }
+    });
+
+    // Taking the camera stops a transition or sequence
+    this.renderer.domElement.addEventListener('pointerdown', () => {
+      this.stopCameraSequence();
+      this.cancelCameraTween();
+    });
+
+    this.renderCameraSequenceControls();
+  }
+
+  // Show the active view's transition / hold settings
+  renderCameraSequenceControls() {
+    const duration = document.getElementById('view-transition-duration');
+    const easing = document.getElementById('view-transition-easing');
+    const hold = document.getElementById('view-hold');
+    const playBtn = document.getElementById('play-sequence-btn');
+    if (!duration || !easing || !hold || !playBtn) return;
+
+    const view = this.currentCameraViews?.[this.activeCameraView];
+    const transition = { ...DEFAULT_TRANSITION, ...view?.transition };
+    [duration, easing, hold].forEach(input => { input.disabled = !view; });
+    duration.value = transition.duration;
+    easing.value = EASINGS[transition.easing] ? transition.easing : DEFAULT_TRANSITION.easing;
+    hold.value = view?.hold ?? DEFAULT_HOLD;
+    playBtn.innerHTML = this.sequencePlayback ? '&#9632; Stop Sequence' : '&#9654; Play Sequence';
+  }
+
+  // ==================== IMAGE EXPORT ====================
+  // PNG screenshots past the window size, rendered in tiles from the live camera
+  // (see imageExport.js). Gizmos, the grid and selection boxes are left out.
+
+  async exportImage({ width, height, transparent = false }) {
+    const error = imageSizeError(width, height);
+    if (error) throw new Error(error);
+
+    // Same pose and lens as the live camera, reshaped to the image
+    const camera = this.cameraFromState(this.captureCameraState(), width / height);
+
+    // Transparent: no sky, and no fog either (it would fade distant objects into the missing sky)
+    const { background } = this.scene;
+    const fog = this.sceneFog;
+    if (transparent) {
+      this.scene.background = null;
+      this.sceneFog = null;
+    }
+    let canvas;
+    try {
+      canvas = this.withEditorHelpersHidden(() =>
+        renderImageTiles(this.renderer, this.scene, camera, { width, height, transparent }));
+    } finally {
+      this.scene.background = background;
+      this.sceneFog = fog;
+    }
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('The browser could not encode the image');
+    this.downloadBlob(blob, `${this.exportBaseName()}-${width}x${height}.png`);
+    console.log(`Exported ${width}x${height} image${transparent ? ' (transparent)' : ''}`);
+  }
+
+  showImageExportDialog() {
+    if (document.getElementById('image-export-dialog')) return;
+    const settings = { ...this.imageExportSettings };
+    const inputStyle = 'background:#333;color:#fff;border:none;border-radius:3px;font-size:11px;padding:2px;';
+    const options = (presets, extra) => Object.entries(presets)
+      .map(([key, preset]) => `<option value="${key}">${preset.label}</option>`).join('') + extra;
+
+    const overlay = document.createElement('div');
+    overlay.id = 'image-export-dialog';
+    overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;z-index:2000;font-family:monospace;font-size:12px;';
+    overlay.innerHTML = `
+      <div style="background:#222;color:#fff;border-radius:8px;padding:16px;min-width:280px;max-width:90%;">
+        <div style="font-weight:bold;margin-bottom:10px;">Export image</div>
+        <label style="display:flex;justify-content:space-between;align-items:center;margin-bottom:6px;">Size
+          <select data-field="size" style="width:140px;${inputStyle}">${options(IMAGE_SIZE_PRESETS, '<option value="custom">Custom</option>')}</select>
+        </label>
+        <label style="display:flex;justify-content:space-between;align-items:center;margin-bottom:6px;">Aspect
+          <select data-field="aspect" style="width:140px;${inputStyle}">${options(ASPECT_PRESETS, '<option value="free">Free</option>')}</select>
+        </label>
+        <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:6px;">Pixels
+          <span><input type="number" data-field="width" min="1" step="1" style="width:60px;${inputStyle}"> x <input type="number" data-field="height" min="1" step="1" style="width:60px;${inputStyle}"></span>
+        </div>
+        <label style="display:flex;align-items:center;gap:6px;margin-bottom:8px;cursor:pointer;">
+          <input type="checkbox" data-field="transparent"> Transparent background (no sky or fog)
+        </label>
+        <div data-field="status" style="color:#aaa;margin-bottom:10px;"></div>
+        <div style="display:flex;gap:6px;">
+          <button data-action="export" style="flex:1;background:#3498db;color:#fff;border:none;padding:6px;border-radius:4px;cursor:pointer;">Export PNG</button>
+          <button data-action="close" style="flex:1;background:#555;color:#fff;border:none;padding:6px;border-radius:4px;cursor:pointer;">Cancel</button>
+        </div>
+      </div>
+    `;
+    const field = (name) => overlay.querySelector(`[data-field="${name}"]`);
+    const [sizeSelect, aspectSelect, widthInput, heightInput, transparentInput, status, exportBtn] = [
+      field('size'), field('aspect'), field('width'), field('height'), field('transparent'), field('status'),
+      overlay.querySelector('[data-action="export"]')
+    ];
+
+    // null = free aspect (width and height are edited separately)
+    const ratio = () => {
+      if (settings.aspect === 'window') return this.renderer.domElement.width / this.renderer.domElement.height;
+      return ASPECT_PRESETS[settings.aspect]?.ratio ?? null;
+    };
+    const render = () => {
+      if (IMAGE_SIZE_PRESETS[settings.size]) {
+        Object.assign(settings, imageSize(IMAGE_SIZE_PRESETS[settings.size].longSide, ratio() ?? settings.width / settings.height));
+      }
+      sizeSelect.value = settings.size;
+      aspectSelect.value = settings.aspect;
+      widthInput.value = settings.width;
+      heightInput.value = settings.height;
+      transparentInput.checked = settings.transparent;
+
+      const error = imageSizeError(settings.width, settings.height);
+      const tiles = error ? 0 : imageTiles(settings.width, settings.height, IMAGE_TILE_SIZE).length;
+      status.textContent = error || `${settings.width} x ${settings.height} px${tiles > 1 ? `, rendered in ${tiles} tiles` : ''}`;
+      status.style.color = error ? '#e74c3c' : '#aaa';
+      exportBtn.disabled = !!error;
+      exportBtn.style.opacity = error ? '0.5' : '1';
+    };
+
+    sizeSelect.addEventListener('change', () => {
+      settings.size = sizeSelect.value;
+      render();
+    });
+    aspectSelect.addEventListener('change', () => {
+      settings.aspect = aspectSelect.value;
+      if (settings.size === 'custom' && ratio()) settings.height = Math.round(settings.width / ratio());
+      render();
+    });
+    // Typing a size makes it custom; a fixed aspect keeps the other side in step
+    [[widthInput, 'width'], [heightInput, 'height']].forEach(([input, key]) => {
+      input.addEventListener('change', () => {
+        const value = Math.round(parseFloat(input.value));
+        if (!Number.isFinite(value)) return render();
+        settings.size = 'custom';
+        settings[key] = value;
+        if (ratio()) {
+          if (key === 'width') settings.height = Math.max(1, Math.round(value / ratio()));
+          else settings.width = Math.max(1, Math.round(value * ratio()));
+        }
+        render();
+      });
+    });
+    transparentInput.addEventListener('change', () => { settings.transparent = transparentInput.checked; });
+
+    overlay.addEventListener('click', async (e) => {
+      if (e.target.closest('[data-action="export"]')) {
+        this.imageExportSettings = { ...settings };
+        exportBtn.disabled = true;
+        exportBtn.textContent = 'Rendering...';
+        // Let the button repaint before the (blocking) render
+        await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)));
+        try {
+          await this.exportImage(settings);
+          overlay.remove();
+        } catch (err) {
+          console.error('Image export failed:', err);
+          status.textContent = `Export failed: ${err.message}`;
+          status.style.color = '#e74c3c';
+          exportBtn.disabled = false;
+          exportBtn.textContent = 'Export PNG';
+        }
+      } else if (e.target === overlay || e.target.closest('[data-action="close"]')) {
+        overlay.remove();
+      }
+    });
+
+    document.body.appendChild(overlay);
+    render();
+  }
+
+  // ==================== FRAME SEQUENCE EXPORT ====================
+  // Offline renders of a camera path (see frameSequence.js): every frame at a fixed
+  // timestep and a set size, streamed into a ZIP as numbered PNGs, optionally also a WebM.
+
+  // { duration, stateAt(time) } for the chosen path; throws if it can't be built
+  buildFramePath(settings) {
+    if (settings.path === 'views') {
+      const steps = sequenceSteps(this.currentCameraViews, this.cameraViewNames())
+        .map(step => ({ ...step, view: this.savedViewState(step.view) }));
+      if (steps.length === 0) throw new Error('This scene has no saved camera views');
+      return viewSequencePath(steps);
+    }
+
+    // Orbit the selection (or the car) from where the camera is now, with the live lens
+    const objects = this.selectedObjects.length ? this.selectedObjects : [this.car].filter(Boolean);
+    if (objects.length === 0) throw new Error('Select an object to orbit around');
+    const box = new THREE.Box3();
+    objects.forEach(o => box.expandByObject(o));
+    const orbit = orbitPath(box.getCenter(new THREE.Vector3()), this.camera.position, settings.duration);
+    const lens = this.captureCameraState();
+    return { duration: orbit.duration, stateAt: (time) => ({ ...lens, ...orbit.stateAt(time) }) };
+  }
+
+  // Resolves true when the files were downloaded, false if cancelled
+  async exportFrameSequence(settings, { onProgress = () => {}, isCancelled = () => false } = {}) {
+    const { width, height, fps } = settings;
+    const webm = settings.webm && !!webmMimeType();
+    const sizeError = imageSizeError(width, height);
+    if (sizeError) throw new Error(sizeError);
+    const path = this.buildFramePath(settings);
+    const count = frameCount(path.duration, fps);
+    if (count > MAX_FRAMES) throw new Error(`${count} frames is too many (at most ${MAX_FRAMES})`);
+    const tooLarge = () => new Error(`More than ${formatBytes(MAX_FRAME_EXPORT_BYTES)} of frames - use fewer frames or a smaller size`);
+    if (estimateFrameExportBytes(width, height, count, webm) > MAX_FRAME_EXPORT_BYTES) throw tooLarge();
+
+    // Each PNG goes into the ZIP as soon as it is rendered; the ZIP's chunks are kept
+    // as Blobs, which the browser can move out of the page's memory
+    const parts = [];
+    let zipError = null;
+    const zip = new Zip((err, chunk) => {
+      if (err) zipError = err;
+      else parts.push(new Blob([chunk]));
+    });
+    const frames = [];  // PNG blobs, in order (only kept for the WebM)
+    let bytes = 0;
+    for (let i = 0; i < count; i++) {
+      if (isCancelled()) return false;
+      const camera = this.cameraFromState(path.stateAt(i / fps), width / height);
+      const canvas = this.withEditorHelpersHidden(() =>
+        renderImageTiles(this.renderer, this.scene, camera, { width, height }));
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      if (!blob) throw new Error(`The browser could not encode frame ${i + 1}`);
+      bytes += blob.size * (webm ? 2 : 1);
+      if (bytes > MAX_FRAME_EXPORT_BYTES) throw tooLarge();
+      if (webm) frames.push(blob);
+
+      // PNGs are already compressed, so they are stored as they are
+      const file = new ZipPassThrough(frameFileName(i, count));
+      zip.add(file);
+      file.push(new Uint8Array(await blob.arrayBuffer()), true);
+      if (zipError) throw zipError;
+      onProgress(`Rendered frame ${i + 1} / ${count}`);
+    }
+    zip.end();
+    if (zipError) throw zipError;
+
+    const baseName = this.exportBaseName();
+    this.downloadBlob(new Blob(parts, { type: 'application/zip' }), `${baseName}-frames.zip`);
+
+    if (webm) {
+      onProgress('Encoding WebM (plays in real time)...');
+      const video = await this.encodeWebm(frames, { width, height, fps, isCancelled });
+      if (video) this.downloadBlob(video, `${baseName}.webm`);
+    }
+    console.log(`Exported ${count} frames at ${width}x${height}, ${fps} fps${webm ? ' (+ WebM)' : ''}`);
+    return true;
+  }
+
+  // MediaRecorder timestamps frames by the clock, so the finished frames are played
+  // into it at the target frame rate. Resolves the video, or null if unsupported / cancelled.
+  async encodeWebm(frames, { width, height, fps, isCancelled }) {
+    const mimeType = webmMimeType();
+    if (!mimeType) {
+      console.warn('This browser cannot record WebM, only the ZIP was saved');
+      return null;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 12000000 });
+    const chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    recorder.start();
+    const start = performance.now();
+    for (let i = 0; i < frames.length && !isCancelled(); i++) {
+      const image = await createImageBitmap(frames[i]);
+      context.drawImage(image, 0, 0);
+      image.close();
+      track.requestFrame();
+      const wait = start + ((i + 1) * 1000) / fps - performance.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+    return isCancelled() ? null : new Blob(chunks, { type: 'video/webm' });
+  }
+
+  showFrameExportDialog() {
+    if (document.getElementById('frame-export-dialog')) return;
+    const settings = { ...this.frameExportSettings };
+    const canRecord = !!webmMimeType();
+    const inputStyle = 'background:#333;color:#fff;border:none;border-radius:3px;font-size:11px;padding:2px;';
+    let job = null;  // { cancelled } while rendering
+
+    const overlay = document.createElement('div');
+    overlay.id = 'frame-export-dialog';
+    overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;z-index:2000;font-family:monospace;font-size:12px;';
+    overlay.innerHTML = `
+      <div style="background:#222;color:#fff;border-radius:8px;padding:16px;min-width:300px;max-width:90%;">
+        <div style="font-weight:bold;margin-bottom:10px;">Export frame sequence</div>
+        <label style="display:flex;justify-content:space-between;align-items:center;margin-bottom:6px;">Path
+          <select data-field="path" style="width:170px;${inputStyle}">${Object.entries(FRAME_PATHS)
+            .map(([key, path]) => `<option value="${key}">${path.label}</option>`).join('')}</select>
+        </label>
+        <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:6px;">Duration / fps
+          <span><input type="number" data-field="duration" min="0.1" step="0.5" style="width:50px;${inputStyle}">s <input type="number" data-field="fps" min="1" max="120" step="1" style="width:40px;${inputStyle}"></span>
+        </div>
+        <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:6px;">Pixels
+          <span><input type="number" data-field="width" min="1" step="1" style="width:60px;${inputStyle}"> x <input type="number" data-field="height" min="1" step="1" style="width:60px;${inputStyle}"></span>
+        </div>
+        <label style="display:flex;align-items:center;gap:6px;margin-bottom:8px;cursor:pointer;" title="${canRecord ? 'Recorded with MediaRecorder after the frames are rendered' : 'Not supported in this browser'}">
+          <input type="checkbox" data-field="webm" ${canRecord ? '' : 'disabled'}> Also save a WebM video
+        </label>
+        <div data-field="status" style="color:#aaa;margin-bottom:10px;"></div>
+        <div style="display:flex;gap:6px;">
+          <button data-action="export" style="flex:1;background:#3498db;color:#fff;border:none;padding:6px;border-radius:4px;cursor:pointer;">Render Frames</button>
+          <button data-action="close" style="flex:1;background:#555;color:#fff;border:none;padding:6px;border-radius:4px;cursor:pointer;">Cancel</button>
+        </div>
+      </div>
+    `;
+    const field = (name) => overlay.querySelector(`[data-field="${name}"]`);
+    const status = field('status');
+    const exportBtn = overlay.querySelector('[data-action="export"]');
+    const setStatus = (text, isError = false) => {
+      status.textContent = text;
+      status.style.color = isError ? '#e74c3c' : '#aaa';
+    };
+
+    // The views path is as long as its transitions and holds
+    const render = () => {
+      ['path', 'duration', 'fps', 'width', 'height'].forEach(key => { field(key).value = settings[key]; });
+      field('webm').checked = canRecord && settings.webm;
+      field('duration').disabled = settings.path === 'views';
+
+      let error = imageSizeError(settings.width, settings.height);
+      if (!error && !(Number.isInteger(settings.fps) && settings.fps > 0)) error = 'Frame rate must be a whole number';
+      if (!error && !(settings.duration > 0)) error = 'Duration must be more than 0 seconds';
+      let count = 0;
+      if (!error) {
+        try {
+          const path = this.buildFramePath(settings);
+          if (settings.path === 'views') field('duration').value = Math.round(path.duration * 100) / 100;
+          count = frameCount(path.duration, settings.fps);
+          if (count > MAX_FRAMES) error = `${count} frames is too many (at most ${MAX_FRAMES})`;
+        } catch (err) {
+          error = err.message;
+        }
+      }
+      const bytes = estimateFrameExportBytes(settings.width, settings.height, count, canRecord && settings.webm);
+      if (!error && bytes > MAX_FRAME_EXPORT_BYTES) {
+        error = `About ${formatBytes(bytes)} of frames, at most ${formatBytes(MAX_FRAME_EXPORT_BYTES)} - use fewer frames or a smaller size`;
+      }
+      setStatus(error || `${count} frames at ${settings.width} x ${settings.height}, about ${formatBytes(bytes)}`, !!error);
+      exportBtn.disabled = !!error;
+      exportBtn.style.opacity = error ? '0.5' : '1';
+    };
+
+    field('path').addEventListener('change', () => {
+      settings.path = field('path').value;
+      render();
+    });
+    ['duration', 'fps', 'width', 'height'].forEach(key => {
+      field(key).addEventListener('change', () => {
+        const value = parseFloat(field(key).value);
+        if (Number.isFinite(value)) settings[key] = key === 'duration' ? value : Math.round(value);
+        render();
+      });
+    });
+    field('webm').addEventListener('change', () => {
+      settings.webm = field('webm').checked;
+      render();
+    });
+
+    overlay.addEventListener('click', async (e) => {
+      if (e.target.closest('[data-action="export"]') && !job) {
+        this.frameExportSettings = { ...settings };
+        job = { cancelled: false };
+        exportBtn.disabled = true;
+        exportBtn.style.opacity = '0.5';
+        overlay.querySelector('[data-action="close"]').textContent = 'Stop';
+        try {
+          const done = await this.exportFrameSequence(settings, {
+            onProgress: (text) => setStatus(text),
+            isCancelled: () => job.cancelled
+          });
+          if (done) overlay.remove();
+        } catch (err) {
+          console.error('Frame export failed:', err);
+          setStatus(`Export failed: ${err.message}`, true);
+        }
+        job = null;
+        exportBtn.disabled = false;
+        exportBtn.style.opacity = '1';
+        overlay.querySelector('[data-action="close"]').textContent = 'Cancel';
+      } else if (e.target.closest('[data-action="close"]') || (e.target === overlay && !job)) {
+        if (job) {
+          job.cancelled = true;
+          setStatus('Stopping...');
+        } else {
+          overlay.remove();
+        }
+      }
+    });
+
+    document.body.appendChild(overlay);
+    render();
+  }
+
+  captureSceneState() {
+    const state = {
+      schemaVersion: SCENE_SCHEMA_VERSION,
+      transforms: {},  // Keyed by object id
+      spawned: [], // Track dynamically spawned objects
+      names: {},  // Display names that differ from the id
+      objectFlags: {},  // Outliner hidden/locked state that differs from the default
+      cameraViews: this.currentCameraViews || { 'Default': this.captureCameraState() },
+      cameraViewOrder: this.cameraViewNames(),
+      activeCameraView: this.activeCameraView || 'Default',
+      environment: this.captureEnvironment()
+    };
+
+    // Update the active camera view with current camera position (keeping its thumbnail),
+    // unless the camera is still flying there
+    if (!this.cameraTween) {
+      state.cameraViews[state.activeCameraView] = {
+        ...state.cameraViews[state.activeCameraView],
+        ...this.captureCameraState()
+      };
+    }
+
+    this.selectableObjects.forEach(obj => {
+      const id = obj.userData.id;
+
+      const flags = {};
+      if (!obj.visible) flags.hidden = true;
+      if (!!obj.userData.locked !== !!obj.userData.generated) flags.locked = !!obj.userData.locked;
+      if (Object.keys(flags).length > 0) state.objectFlags[id] = flags;
+
+      // Generated objects are rebuilt from the environment; only save them once moved
+      if (obj.userData.generated && this.transformEquals(this.captureTransform(obj), obj.userData.generatedTransform)) {
+        return;
+      }
+
+      state.transforms[id] = {
+        position: { x: obj.position.x, y: obj.position.y, z: obj.position.z },
+        rotation: { x: obj.rotation.x, y: obj.rotation.y, z: obj.rotation.z },
+        scale: { x: obj.scale.x, y: obj.scale.y, z: obj.scale.z }
+      };
+      if (obj.name !== id) state.names[id] = obj.name;
+      // Track if this was a spawned object (has spawnedType marker)
+      if (obj.userData.spawnedType) {
+        state.spawned.push({
+          id,
+          type: obj.userData.spawnedType
+        });
+      }
+    });
+    return state;
+  }
+
+  // Expects a current-schema state (captureSceneState or parseSceneDocument output)
+  async applySceneState(state) {
+    const transforms = state.transforms;
+    const spawned = state.spawned;
+
+    // Commands hold references to objects this state may replace
+    this.history.clear();
+    this.deselectObject();
+    this.stopCameraSequence();
+    this.cancelCameraTween();
+
+    // First, remove any previously spawned objects that aren't in this scene
+    const spawnedIds = new Set(spawned.map(s => s.id));
+    const toRemove = this.selectableObjects.filter(obj =>
+      obj.userData.spawnedType && !spawnedIds.has(obj.userData.id)
+    );
+    toRemove.forEach(obj => {
+      this.scene.remove(obj);
+      const idx = this.selectableObjects.indexOf(obj);
+      if (idx > -1) this.selectableObjects.splice(idx, 1);
+    });
+
+    // Recreate spawned objects that don't exist yet
+    for (const spawnData of spawned) {
+      const exists = this.findSelectableById(spawnData.id);
+      if (!exists && this.buildingPaths[spawnData.type]) {
+        const building = await this.loadModel(this.buildingPaths[spawnData.type]);
+        if (building) {
+          building.userData.spawnedType = spawnData.type;
+          this.registerSelectable(building, spawnData.id, spawnData.id);
+        }
+      }
+    }
+
+    // Restore look and generated layout first, so regenerated roads get their saved edits
+    // (scenes saved before this existed get the defaults)
+    await this.applyEnvironment(state.environment);
+
+    // Apply display names (hand-edited scenes may repeat one, so keep them unique)
+    const usedNames = new Set();
+    this.selectableObjects.forEach(obj => {
+      let name = state.names[obj.userData.id] || obj.userData.id;
+      if (usedNames.has(name)) {
+        let n = 2;
+        while (usedNames.has(`${name}_${n}`)) n++;
+        name = `${name}_${n}`;
+      }
+      obj.name = name;
+      usedNames.add(name);
+    });
+
+    // Apply transforms (unsaved generated objects go back to where they were generated)
+    this.selectableObjects.forEach(obj => {
+      const data = transforms[obj.userData.id];
       if (data) {
         obj.position.set(data.position.x, data.position.y, data.position.z);
         obj.rotation.set(data.rotation.x, data.rotation.y, data.rotation.z);
         obj.scale.set(data.scale.x, data.scale.y, data.scale.z);
+      } else if (obj.userData.generated) {
+        this.applyTransform(obj, obj.userData.generatedTransform);
       }
+
+      const flags = state.objectFlags[obj.userData.id] || {};
+      obj.visible = !flags.hidden;
+      obj.userData.locked = flags.locked ?? !!obj.userData.generated;
     });
+    this.renderOutliner();
 
-    // Handle camera views (new format) or legacy camera (old format)
-    if (state.cameraViews) {
-      this.currentCameraViews = state.cameraViews;
-      this.activeCameraView = state.activeCameraView || Object.keys(state.cameraViews)[0] || 'Default';
-      this.applyCameraState(state.cameraViews[this.activeCameraView]);
-      this.renderCameraViewList();
-    } else if (state.camera) {
-      // Legacy format - convert to new format
-      this.currentCameraViews = { 'Default': state.camera };
-      this.activeCameraView = 'Default';
-      this.applyCameraState(state.camera);
-      this.renderCameraViewList();
-    }
+    // Restore camera views
+    this.currentCameraViews = state.cameraViews;
+    this.cameraViewOrder = state.cameraViewOrder;
+    this.activeCameraView = state.activeCameraView;
+    this.applyCameraState(this.savedViewState(state.cameraViews[this.activeCameraView]));
+    this.renderCameraViewList();
   }
 
-  // Save current camera position as a named view (only when inside a scene)
-  saveCameraView(name) {
-    // Only allow saving camera views when inside a custom scene
-    if (!this.currentSceneName) {
-      alert('Please save or load a scene first.\n\nCamera views are saved per-scene.');
-      return;
+  // Migrate + validate a scene document from an external source.
+  // Repairs are logged; returns null (and tells the user) if the scene is unusable.
+  parseSceneDocument(raw, source) {
+    try {
+      const { state, issues } = normalizeSceneState(raw);
+      this.reportSceneIssues(source, issues);
+      return state;
+    } catch (err) {
+      console.error(`Scene from ${source} rejected:`, err.message);
+      alert(`Could not load scene from ${source}:\n${err.message}`);
+      return null;
     }
+  }
 
+  // Log repairs made while loading a scene so hand-edited presets don't break silently
+  reportSceneIssues(source, issues) {
+    if (issues.length === 0) return;
+    console.warn(`Scene from ${source} was repaired (${issues.length} issue${issues.length === 1 ? '' : 's'}):`);
+    issues.forEach(issue => console.warn(`  - ${issue}`));
+  }
+
+  // Save current camera position as a named view. Views are part of the scene state, so
+  // an unsaved scene keeps them too (in the autosave draft, and once it is saved).
+  saveCameraView(name) {
     if (!name) {
       name = prompt('Enter camera view name:', `View ${Object.keys(this.currentCameraViews || {}).length + 1}`);
       if (!name) return;
@@ -1060,27 +3406,45 @@ class LowPolyViewer {
       this.currentCameraViews = {};
     }
 
-    this.currentCameraViews[name] = this.captureCameraState();
+    const before = this.snapshotCameraViews();
+    const existed = !!this.currentCameraViews[name];
+    const view = this.captureCameraState();
+    view.thumbnail = this.renderThumbnail(view);
+    if (!(name in this.currentCameraViews)) this.cameraViewOrder = [...this.cameraViewNames(), name];
+    this.currentCameraViews[name] = view;
     this.activeCameraView = name;
+    this.recordCameraViewCommand(`${existed ? 'Update' : 'Save'} view ${name}`, before);
 
     // Auto-save to the current scene
-    this.savedScenes[this.currentSceneName] = this.captureSceneState();
-    localStorage.setItem('lowpoly_scenes', JSON.stringify(this.savedScenes));
+    this.persistCurrentScene();
 
-    console.log(`Camera view "${name}" saved to scene "${this.currentSceneName}"`);
+    console.log(`Camera view "${name}" saved to ${this.sceneLabel()}`);
     this.renderCameraViewList();
   }
 
+  // View names in list order (Object.keys can't be used: see cameraViews.js)
+  cameraViewNames() {
+    return orderedViewNames(this.currentCameraViews || {}, this.cameraViewOrder);
+  }
+
+  sceneLabel() {
+    return this.currentSceneName ? `scene "${this.currentSceneName}"` : 'the unsaved scene';
+  }
+
   // Load a named camera view
   loadCameraView(name) {
     if (this.currentCameraViews && this.currentCameraViews[name]) {
-      // Save current view before switching
-      if (this.activeCameraView && this.currentCameraViews[this.activeCameraView]) {
-        this.currentCameraViews[this.activeCameraView] = this.captureCameraState();
+      // Save current view before switching (not a point halfway through a transition)
+      if (!this.cameraTween && this.activeCameraView && this.currentCameraViews[this.activeCameraView]) {
+        this.currentCameraViews[this.activeCameraView] = {
+          ...this.currentCameraViews[this.activeCameraView],
+          ...this.captureCameraState()
+        };
       }
 
       this.activeCameraView = name;
-      this.applyCameraState(this.currentCameraViews[name]);
+      const view = this.currentCameraViews[name];
+      this.animateCameraTo(this.savedViewState(view), { ...DEFAULT_TRANSITION, ...view.transition });
       console.log(`Camera view loaded: ${name}`);
       this.renderCameraViewList();
     }
@@ -1088,100 +3452,505 @@ class LowPolyViewer {
 
   // Delete a camera view
   deleteCameraView(name) {
-    if (!this.currentSceneName) return;
-
     if (this.currentCameraViews && this.currentCameraViews[name]) {
+      const before = this.snapshotCameraViews();
       delete this.currentCameraViews[name];
+      this.cameraViewOrder = this.cameraViewNames();
 
       // If deleted the active view, switch to first available
       if (this.activeCameraView === name) {
-        const remaining = Object.keys(this.currentCameraViews);
+        const remaining = this.cameraViewOrder;
         this.activeCameraView = remaining[0] || 'Default';
         if (remaining.length === 0) {
           this.currentCameraViews['Default'] = this.captureCameraState();
+          this.cameraViewOrder = ['Default'];
         }
       }
+      this.recordCameraViewCommand(`Delete view ${name}`, before);
 
       // Auto-save to the current scene
-      this.savedScenes[this.currentSceneName] = this.captureSceneState();
-      localStorage.setItem('lowpoly_scenes', JSON.stringify(this.savedScenes));
+      this.persistCurrentScene();
+
+      console.log(`Camera view "${name}" deleted from ${this.sceneLabel()}`);
+      this.renderCameraViewList();
+    }
+  }
+
+  renameCameraView(from, to) {
+    to = to.trim();
+    if (!to || to === from || !this.currentCameraViews?.[from]) return false;
+    if (to in this.currentCameraViews) {
+      alert(`A camera view named "${to}" already exists.`);
+      return false;
+    }
+
+    const before = this.snapshotCameraViews();
+    this.cameraViewOrder = renameView(this.cameraViewNames(), from, to);
+    this.currentCameraViews = renameViewKey(this.currentCameraViews, from, to);
+    if (this.activeCameraView === from) this.activeCameraView = to;
+    this.recordCameraViewCommand(`Rename view ${from} to ${to}`, before);
+    this.persistCurrentScene();
+
+    console.log(`Camera view renamed: ${from} -> ${to}`);
+    this.renderCameraViewList();
+    return true;
+  }
+
+  // The list order is also the Play Sequence order
+  moveCameraView(name, index) {
+    if (!this.currentCameraViews?.[name]) return;
+    const names = this.cameraViewNames();
+    const moved = moveView(names, name, index);
+    if (moved.every((key, i) => key === names[i])) return;
+
+    const before = this.snapshotCameraViews();
+    this.cameraViewOrder = moved;
+    this.recordCameraViewCommand(`Reorder view ${name}`, before);
+    this.persistCurrentScene();
+    this.renderCameraViewList();
+  }
+
+  // Copy a view into another saved scene (renamed there if the name is taken)
+  copyCameraViewToScene(name, sceneName) {
+    const view = this.currentCameraViews?.[name];
+    const scene = this.savedScenes[sceneName];
+    if (!view || !scene || sceneName === this.currentSceneName) return;
+
+    const views = { ...scene.cameraViews };
+    const copyName = uniqueSceneName(name, views);
+    views[copyName] = JSON.parse(JSON.stringify(view));
+    const order = [...orderedViewNames(scene.cameraViews, scene.cameraViewOrder), copyName];
+    this.savedScenes[sceneName] = { ...scene, cameraViews: views, cameraViewOrder: order };
+    this.storeScene(sceneName);
+    console.log(`Camera view "${name}" copied to scene "${sceneName}" as "${copyName}"`);
+  }
+
+  // Small menu of the other saved scenes, under the button that opened it
+  showCopyViewMenu(name, anchor) {
+    document.getElementById('copy-view-menu')?.remove();
+    const scenes = Object.keys(this.savedScenes).filter(s => s !== this.currentSceneName);
+    const rect = anchor.getBoundingClientRect();
+
+    const menu = document.createElement('div');
+    menu.id = 'copy-view-menu';
+    menu.style.cssText = `position:fixed;top:${rect.bottom + 2}px;left:${Math.max(4, rect.right - 160)}px;width:160px;max-height:200px;overflow-y:auto;background:#222;border:1px solid #444;border-radius:4px;padding:4px;z-index:2000;font-family:monospace;font-size:10px;color:#fff;`;
+    menu.innerHTML = `<div style="color:#888;margin-bottom:4px;">Copy "${escapeHtml(name)}" to</div>` + (scenes.length
+      ? scenes.map(scene => `<div class="copy-view-target" data-scene="${escapeHtml(scene)}" style="padding:3px 4px;border-radius:3px;cursor:pointer;background:#333;margin-bottom:2px;">${escapeHtml(scene)}</div>`).join('')
+      : '<div style="color:#666;">No other saved scenes</div>');
+
+    const close = (e) => {
+      if (e && menu.contains(e.target)) return;
+      menu.remove();
+      document.removeEventListener('pointerdown', close, true);
+    };
+    menu.addEventListener('click', (e) => {
+      const target = e.target.closest('.copy-view-target');
+      if (!target) return;
+      this.copyCameraViewToScene(name, target.dataset.scene);
+      close();
+    });
+    document.addEventListener('pointerdown', close, true);
+    document.body.appendChild(menu);
+  }
+
+  // ==================== CAMERA BOOKMARKS ====================
+  // Views for every scene (standard angles on the car...), stored in this browser.
+  // They aren't part of any scene, so they are outside undo history.
+
+  saveCameraBookmark(name) {
+    if (!name) {
+      name = prompt('Bookmark name (available in every scene):', `Bookmark ${this.cameraBookmarks.names().length + 1}`);
+      if (!name?.trim()) return;
+      name = name.trim();
+    }
+    if (this.cameraBookmarks.get(name) && !confirm(`Replace bookmark "${name}" with the current camera?`)) return;
+
+    const view = this.captureCameraState();
+    view.thumbnail = this.renderThumbnail(view);
+    this.storeCameraBookmark(name, view);
+  }
+
+  // Scene view -> bookmark
+  bookmarkCameraView(name) {
+    const view = this.currentCameraViews?.[name];
+    if (!view) return;
+    const bookmarkName = uniqueSceneName(name, this.cameraBookmarks.views);
+    this.storeCameraBookmark(bookmarkName, JSON.parse(JSON.stringify(view)));
+  }
+
+  storeCameraBookmark(name, view) {
+    if (!this.cameraBookmarks.set(name, view)) {
+      alert('Could not save the bookmark - browser storage may be full.');
+      return;
+    }
+    console.log(`Camera bookmark saved: ${name}`);
+    this.renderCameraBookmarkList();
+  }
+
+  loadCameraBookmark(name) {
+    const view = this.cameraBookmarks.get(name);
+    if (!view) return;
+    this.stopCameraSequence();
+    this.animateCameraTo(this.savedViewState(view), { ...DEFAULT_TRANSITION, ...view.transition });
+    console.log(`Camera bookmark loaded: ${name}`);
+  }
+
+  // Bookmark -> a view of the current scene
+  addBookmarkToScene(name) {
+    const view = this.cameraBookmarks.get(name);
+    if (!view) return;
+    const before = this.snapshotCameraViews();
+    const viewName = uniqueSceneName(name, this.currentCameraViews || {});
+    this.cameraViewOrder = [...this.cameraViewNames(), viewName];
+    this.currentCameraViews = { ...this.currentCameraViews, [viewName]: JSON.parse(JSON.stringify(view)) };
+    this.recordCameraViewCommand(`Add view ${viewName} from bookmark`, before);
+    this.persistCurrentScene();
+    console.log(`Bookmark "${name}" added to ${this.sceneLabel()} as "${viewName}"`);
+    this.renderCameraViewList();
+  }
+
+  renameCameraBookmark(from, to) {
+    to = to.trim();
+    if (!to || to === from || !this.cameraBookmarks.get(from)) return false;
+    if (this.cameraBookmarks.get(to)) {
+      alert(`A bookmark named "${to}" already exists.`);
+      return false;
+    }
+    if (!this.cameraBookmarks.rename(from, to)) {
+      alert('Could not rename the bookmark - browser storage may be full.');
+      return false;
+    }
+    this.renderCameraBookmarkList();
+    return true;
+  }
+
+  deleteCameraBookmark(name) {
+    if (!confirm(`Delete bookmark "${name}" from every scene?`)) return;
+    if (!this.cameraBookmarks.remove(name)) {
+      alert('Could not delete the bookmark - browser storage may be full.');
+      return;
+    }
+    console.log(`Camera bookmark deleted: ${name}`);
+    this.renderCameraBookmarkList();
+  }
+
+  renderCameraBookmarkList() {
+    const container = document.getElementById('camera-bookmarks-list');
+    if (!container) return;
+    const names = this.cameraBookmarks.names();
+    if (names.length === 0) {
+      container.innerHTML = '<div style="color:#666;font-size:10px;text-align:center;">No bookmarks</div>';
+      return;
+    }
+
+    container.innerHTML = names.map(name => `
+      <div style="display:flex;align-items:center;margin-bottom:3px;">
+        <button class="bookmark-btn" data-bookmark="${escapeHtml(name)}" title="Fly here (double-click to rename)" style="flex:1;display:flex;align-items:center;gap:6px;background:#444;color:#fff;border:none;padding:4px 6px;border-radius:3px;cursor:pointer;text-align:left;font-size:10px;">${this.thumbnailHtml(this.cameraBookmarks.get(name).thumbnail, 40)}${escapeHtml(name)}</button>
+        <button class="bookmark-add" data-bookmark="${escapeHtml(name)}" title="Add to this scene's views" style="background:#555;color:#fff;border:none;padding:4px 6px;border-radius:3px;cursor:pointer;margin-left:3px;font-size:9px;">+</button>
+        <button class="bookmark-delete" data-bookmark="${escapeHtml(name)}" style="background:#c0392b;color:#fff;border:none;padding:4px 6px;border-radius:3px;cursor:pointer;margin-left:3px;font-size:9px;">X</button>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.bookmark-btn').forEach(btn => {
+      const name = btn.dataset.bookmark;
+      btn.addEventListener('click', () => this.loadCameraBookmark(name));
+      btn.addEventListener('dblclick', () => this.editNameInline(btn, name, (newName) => this.renameCameraBookmark(name, newName),
+        () => this.renderCameraBookmarkList()));
+      this.attachThumbnailPreview(btn, this.cameraBookmarks.get(name).thumbnail);
+    });
+    container.querySelectorAll('.bookmark-add').forEach(btn => {
+      btn.addEventListener('click', () => this.addBookmarkToScene(btn.dataset.bookmark));
+    });
+    container.querySelectorAll('.bookmark-delete').forEach(btn => {
+      btn.addEventListener('click', () => this.deleteCameraBookmark(btn.dataset.bookmark));
+    });
+  }
+
+  // Swap a list row's button for a text field; Enter / leaving the field renames, Esc cancels.
+  // `cancel` redraws the list, also when `rename` refuses the name (e.g. it is taken).
+  editNameInline(button, name, rename, cancel) {
+    const input = document.createElement('input');
+    input.value = name;
+    input.style.cssText = 'flex:1;min-width:0;background:#222;color:#fff;border:1px solid #3498db;border-radius:3px;font-size:10px;padding:4px 6px;';
+    button.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+      if (!commit || !rename(input.value)) cancel();
+    };
+    // Keys typed in the field must not trigger shortcuts
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  // Camera views are plain JSON, so a deep copy is enough for undo snapshots
+  snapshotCameraViews() {
+    return {
+      views: JSON.parse(JSON.stringify(this.currentCameraViews || {})),
+      order: this.cameraViewNames(),
+      active: this.activeCameraView
+    };
+  }
+
+  restoreCameraViews(snapshot) {
+    this.currentCameraViews = JSON.parse(JSON.stringify(snapshot.views));
+    this.cameraViewOrder = [...snapshot.order];
+    this.activeCameraView = snapshot.active;
+    // Move the camera too, otherwise the next capture would overwrite the restored active view
+    this.applyCameraState(this.savedViewState(this.currentCameraViews[this.activeCameraView]));
+    this.persistCurrentScene();
+    this.renderCameraViewList();
+  }
+
+  recordCameraViewCommand(label, before) {
+    const after = this.snapshotCameraViews();
+    this.history.record({
+      label,
+      undo: () => this.restoreCameraViews(before),
+      redo: () => this.restoreCameraViews(after)
+    });
+  }
+
+  // Write the current scene (including camera views) back to its saved slot
+  persistCurrentScene() {
+    if (!this.currentSceneName) return;
+    const state = this.captureSceneState();
+    const thumbnail = this.savedScenes[this.currentSceneName]?.thumbnail;
+    if (thumbnail) state.thumbnail = thumbnail;
+    this.savedScenes[this.currentSceneName] = state;
+    this.storeScene(this.currentSceneName);
+  }
+
+  // Persist one saved scene; storage errors (e.g. quota) are shown to the user
+  async storeScene(name) {
+    if (!this.sceneStore) return false;
+    try {
+      await this.sceneStore.putScene(name, this.savedScenes[name]);
+      return true;
+    } catch (err) {
+      this.reportStorageError(err);
+      return false;
+    }
+  }
+
+  async removeStoredScene(name) {
+    if (!this.sceneStore) return;
+    try {
+      await this.sceneStore.deleteScene(name);
+    } catch (err) {
+      this.reportStorageError(err);
+    }
+  }
+
+  reportStorageError(err) {
+    console.error('Scene storage error:', err);
+    if (err.quota) {
+      alert(`${err.message}.\n\nExport and delete some scenes to free up space.`);
+    } else {
+      alert(err.message);
+    }
+  }
+
+  // Autosave: write a working draft at most every AUTOSAVE_DELAY ms while editing
+  scheduleAutosave() {
+    if (this.autosaveTimer || !this.sceneStore) return;
+    this.autosaveTimer = setTimeout(() => {
+      this.autosaveTimer = null;
+      this.saveDraft();
+    }, this.AUTOSAVE_DELAY);
+  }
+
+  flushAutosave() {
+    if (!this.autosaveTimer) return;
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    this.saveDraft();
+  }
+
+  async saveDraft() {
+    try {
+      await this.sceneStore.saveDraft({
+        state: this.captureSceneState(),
+        sceneName: this.currentSceneName,
+        savedAt: Date.now()
+      });
+    } catch (err) {
+      console.warn('Autosave failed:', err);
+      // Don't nag on every autosave tick
+      if (!this.autosaveErrorShown) {
+        this.autosaveErrorShown = true;
+        this.reportStorageError(err);
+      }
+    }
+  }
+
+  // Called once an explicit save makes the draft redundant
+  async discardDraft() {
+    if (this.autosaveTimer) {
+      clearTimeout(this.autosaveTimer);
+      this.autosaveTimer = null;
+    }
+    if (!this.sceneStore) return;
+    try {
+      await this.sceneStore.clearDraft();
+    } catch (err) {
+      console.warn('Could not clear autosave draft:', err);
+    }
+  }
 
-      console.log(`Camera view "${name}" deleted from scene "${this.currentSceneName}"`);
-      this.renderCameraViewList();
+  // Show a "restore unsaved changes" banner if the last session left a draft behind
+  async offerDraftRecovery() {
+    if (!this.sceneStore) return;
+    let draft;
+    try {
+      draft = await this.sceneStore.loadDraft();
+    } catch (err) {
+      console.warn('Could not read autosave draft:', err);
+      return;
     }
+    if (!draft) return;
+
+    const banner = document.createElement('div');
+    banner.id = 'draft-recovery';
+    banner.style.cssText = 'position:fixed;top:20px;left:50%;transform:translateX(-50%);background:rgba(0,0,0,0.85);color:#fff;font-family:monospace;font-size:12px;padding:10px 14px;border-radius:8px;z-index:1000;display:flex;align-items:center;gap:8px;';
+    const when = new Date(draft.savedAt).toLocaleString();
+    const sceneLabel = draft.sceneName ? ` in "${escapeHtml(draft.sceneName)}"` : '';
+    banner.innerHTML = `
+      <span>Unsaved changes${sceneLabel} from ${escapeHtml(when)}</span>
+      <button class="draft-restore-btn" style="background:#4CAF50;color:#fff;border:none;padding:5px 10px;border-radius:4px;cursor:pointer;">Restore</button>
+      <button class="draft-discard-btn" style="background:#555;color:#fff;border:none;padding:5px 10px;border-radius:4px;cursor:pointer;">Discard</button>
+    `;
+    banner.querySelector('.draft-restore-btn').addEventListener('click', async () => {
+      banner.remove();
+      await this.applySceneState(draft.state);
+      this.currentSceneName = draft.sceneName in this.savedScenes ? draft.sceneName : null;
+      this.renderSceneList();
+      this.renderCameraViewList();
+      // The draft is in the scene now (the next edit autosaves a new one), so stop offering it
+      this.discardDraft();
+    });
+    banner.querySelector('.draft-discard-btn').addEventListener('click', () => {
+      banner.remove();
+      this.discardDraft();
+    });
+    document.body.appendChild(banner);
   }
 
-  // Render camera view list in UI
+  // Render camera view list in UI (drag rows to reorder, double-click a name to rename)
   renderCameraViewList() {
     const container = document.getElementById('camera-views-list');
     const headerEl = document.getElementById('camera-views-header');
-    const saveCamBtn = document.getElementById('save-camera-btn');
     if (!container) return;
+    this.renderCameraSequenceControls();
+    this.renderCameraBookmarkList();
 
     // Update header to show current scene
     if (headerEl) {
       if (this.currentSceneName) {
-        headerEl.innerHTML = `Camera Views <span style="color:#3498db;">(${this.currentSceneName})</span>`;
-      } else {
-        headerEl.innerHTML = 'Camera Views <span style="color:#666;">(no scene)</span>';
-      }
-    }
-
-    // Enable/disable save button based on whether a scene is selected
-    if (saveCamBtn) {
-      if (this.currentSceneName) {
-        saveCamBtn.disabled = false;
-        saveCamBtn.style.opacity = '1';
-        saveCamBtn.style.cursor = 'pointer';
+        headerEl.innerHTML = `Camera Views <span style="color:#3498db;">(${escapeHtml(this.currentSceneName)})</span>`;
       } else {
-        saveCamBtn.disabled = true;
-        saveCamBtn.style.opacity = '0.5';
-        saveCamBtn.style.cursor = 'not-allowed';
+        headerEl.innerHTML = 'Camera Views <span style="color:#666;">(unsaved scene)</span>';
       }
     }
 
-    // Show message if no scene selected
-    if (!this.currentSceneName) {
-      container.innerHTML = '<div style="color:#666;font-size:10px;text-align:center;">Load a scene first</div>';
-      return;
-    }
-
-    const views = Object.keys(this.currentCameraViews || {});
+    const views = this.cameraViewNames();
 
     if (views.length === 0) {
       container.innerHTML = '<div style="color:#666;font-size:10px;text-align:center;">No camera views</div>';
       return;
     }
 
+    const canCopy = Object.keys(this.savedScenes).some(name => name !== this.currentSceneName);
     container.innerHTML = views.map(name => {
       const isActive = name === this.activeCameraView;
       return `
-        <div style="display:flex;align-items:center;margin-bottom:3px;">
-          <button class="cam-view-btn" data-view="${name}" style="flex:1;background:${isActive ? '#3498db' : '#444'};color:#fff;border:none;padding:4px 6px;border-radius:3px;cursor:pointer;text-align:left;font-size:10px;">${name}</button>
-          <button class="cam-view-delete" data-view="${name}" style="background:#c0392b;color:#fff;border:none;padding:4px 6px;border-radius:3px;cursor:pointer;margin-left:3px;font-size:9px;">X</button>
+        <div class="cam-view-row" draggable="true" data-view="${escapeHtml(name)}" style="display:flex;align-items:center;margin-bottom:3px;border-top:2px solid transparent;">
+          <button class="cam-view-btn" data-view="${escapeHtml(name)}" title="Double-click to rename, drag to reorder" style="flex:1;display:flex;align-items:center;gap:6px;background:${isActive ? '#3498db' : '#444'};color:#fff;border:none;padding:4px 6px;border-radius:3px;cursor:pointer;text-align:left;font-size:10px;">${this.thumbnailHtml(this.currentCameraViews[name]?.thumbnail, 40)}${escapeHtml(name)}</button>
+          <button class="cam-view-bookmark" data-view="${escapeHtml(name)}" title="Bookmark for every scene" style="background:#555;color:#fff;border:none;padding:4px 6px;border-radius:3px;cursor:pointer;margin-left:3px;font-size:9px;">&#9733;</button>
+          ${canCopy ? `<button class="cam-view-copy" data-view="${escapeHtml(name)}" title="Copy to another scene" style="background:#555;color:#fff;border:none;padding:4px 6px;border-radius:3px;cursor:pointer;margin-left:3px;font-size:9px;">&#8594;</button>` : ''}
+          <button class="cam-view-delete" data-view="${escapeHtml(name)}" style="background:#c0392b;color:#fff;border:none;padding:4px 6px;border-radius:3px;cursor:pointer;margin-left:3px;font-size:9px;">X</button>
         </div>
       `;
     }).join('');
 
     // Add event listeners
     container.querySelectorAll('.cam-view-btn').forEach(btn => {
-      btn.addEventListener('click', () => this.loadCameraView(btn.dataset.view));
+      const name = btn.dataset.view;
+      btn.addEventListener('click', () => this.loadCameraView(name));
+      btn.addEventListener('dblclick', () => this.editNameInline(btn, name, (newName) => this.renameCameraView(name, newName),
+        () => this.renderCameraViewList()));
+      this.attachThumbnailPreview(btn, this.currentCameraViews[name]?.thumbnail);
+    });
+    container.querySelectorAll('.cam-view-bookmark').forEach(btn => {
+      btn.addEventListener('click', () => this.bookmarkCameraView(btn.dataset.view));
+    });
+    container.querySelectorAll('.cam-view-copy').forEach(btn => {
+      btn.addEventListener('click', () => this.showCopyViewMenu(btn.dataset.view, btn));
     });
     container.querySelectorAll('.cam-view-delete').forEach(btn => {
       btn.addEventListener('click', () => this.deleteCameraView(btn.dataset.view));
     });
+
+    // Drag to reorder: a view dropped on a row goes above it, dropped below the rows it goes last
+    let dragged = null;
+    const rows = [...container.querySelectorAll('.cam-view-row')];
+    const markDrop = (row) => rows.forEach(r => { r.style.borderTopColor = r === row ? '#3498db' : 'transparent'; });
+    rows.forEach(row => {
+      row.addEventListener('dragstart', (e) => {
+        dragged = row.dataset.view;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', dragged);
+      });
+      row.addEventListener('dragover', (e) => {
+        if (!dragged) return;
+        e.preventDefault();
+        markDrop(row);
+      });
+      row.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const name = dragged;
+        dragged = null;
+        markDrop(null);
+        if (!name || name === row.dataset.view) return;
+        const index = views.filter(v => v !== name).indexOf(row.dataset.view);
+        this.moveCameraView(name, index);
+      });
+      row.addEventListener('dragend', () => {
+        dragged = null;
+        markDrop(null);
+      });
+    });
+    container.ondragover = (e) => { if (dragged && e.target === container) e.preventDefault(); };
+    container.ondrop = (e) => {
+      if (!dragged || e.target !== container) return;
+      e.preventDefault();
+      const name = dragged;
+      dragged = null;
+      this.moveCameraView(name, views.length);
+    };
   }
 
   saveScene(name) {
     const state = this.captureSceneState();
+    state.thumbnail = this.renderThumbnail();
     this.savedScenes[name] = state;
     this.currentSceneName = name;
 
-    // Persist to localStorage
-    localStorage.setItem('lowpoly_scenes', JSON.stringify(this.savedScenes));
+    // Persist, the draft is no longer needed once the scene is saved
+    this.storeScene(name);
+    this.discardDraft();
 
     console.log(`Scene saved: ${name}`);
     this.renderSceneList();
+    this.renderCameraViewList();
   }
 
   async loadScene(name) {
@@ -1201,28 +3970,32 @@ class LowPolyViewer {
       this.currentSceneName = null;
       // Reset camera views for default scene
       this.currentCameraViews = { 'Default': this.captureCameraState() };
+      this.cameraViewOrder = ['Default'];
       this.activeCameraView = 'Default';
       console.log('Default scene loaded');
       this.renderSceneList();
-      this.renderCameraViewList();  // Update camera views (will show disabled state)
+      this.renderCameraViewList();  // Update camera views (now those of the unsaved scene)
     }
   }
 
   deleteScene(name) {
     delete this.savedScenes[name];
-    localStorage.setItem('lowpoly_scenes', JSON.stringify(this.savedScenes));
+    this.removeStoredScene(name);
     if (this.currentSceneName === name) {
       this.currentSceneName = null;
     }
     console.log(`Scene deleted: ${name}`);
     this.renderSceneList();
+    this.renderCameraViewList();
   }
 
   overwriteScene(name) {
     const state = this.captureSceneState();
+    state.thumbnail = this.renderThumbnail();
     this.savedScenes[name] = state;
     this.currentSceneName = name;
-    localStorage.setItem('lowpoly_scenes', JSON.stringify(this.savedScenes));
+    this.storeScene(name);
+    this.discardDraft();
     console.log(`Scene overwritten: ${name}`);
     this.renderSceneList();
   }
@@ -1240,9 +4013,10 @@ class LowPolyViewer {
       const isActive = name === this.currentSceneName;
       return `
         <div style="display:flex;align-items:center;margin-bottom:4px;">
-          <button class="scene-load-btn" data-scene="${name}" style="flex:1;background:${isActive ? '#74b9ff' : '#555'};color:${isActive ? '#000' : '#fff'};border:none;padding:6px 8px;border-radius:4px;cursor:pointer;text-align:left;font-size:11px;">${name}</button>
-          <button class="scene-overwrite-btn" data-scene="${name}" style="background:#f39c12;color:#000;border:none;padding:6px 8px;border-radius:4px;cursor:pointer;margin-left:4px;font-size:10px;" title="Overwrite">S</button>
-          <button class="scene-delete-btn" data-scene="${name}" style="background:#e74c3c;color:#fff;border:none;padding:6px 8px;border-radius:4px;cursor:pointer;margin-left:4px;font-size:10px;">X</button>
+          <button class="scene-load-btn" data-scene="${escapeHtml(name)}" style="flex:1;display:flex;align-items:center;gap:6px;background:${isActive ? '#74b9ff' : '#555'};color:${isActive ? '#000' : '#fff'};border:none;padding:6px 8px;border-radius:4px;cursor:pointer;text-align:left;font-size:11px;">${this.thumbnailHtml(this.savedScenes[name].thumbnail, 48)}${escapeHtml(name)}</button>
+          <button class="scene-export-btn" data-scene="${escapeHtml(name)}" style="background:#16a085;color:#fff;border:none;padding:6px 8px;border-radius:4px;cursor:pointer;margin-left:4px;font-size:10px;" title="Export to file">&#8595;</button>
+          <button class="scene-overwrite-btn" data-scene="${escapeHtml(name)}" style="background:#f39c12;color:#000;border:none;padding:6px 8px;border-radius:4px;cursor:pointer;margin-left:4px;font-size:10px;" title="Overwrite">S</button>
+          <button class="scene-delete-btn" data-scene="${escapeHtml(name)}" style="background:#e74c3c;color:#fff;border:none;padding:6px 8px;border-radius:4px;cursor:pointer;margin-left:4px;font-size:10px;">X</button>
         </div>
       `;
     }).join('');
@@ -1250,6 +4024,10 @@ class LowPolyViewer {
     // Add event listeners
     container.querySelectorAll('.scene-load-btn').forEach(btn => {
       btn.addEventListener('click', () => this.loadScene(btn.dataset.scene));
+      this.attachThumbnailPreview(btn, this.savedScenes[btn.dataset.scene]?.thumbnail);
+    });
+    container.querySelectorAll('.scene-export-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.exportScenes([btn.dataset.scene]));
     });
     container.querySelectorAll('.scene-overwrite-btn').forEach(btn => {
       btn.addEventListener('click', () => this.overwriteScene(btn.dataset.scene));
@@ -1259,20 +4037,273 @@ class LowPolyViewer {
     });
   }
 
+  // Export/Import buttons, hidden file picker and drag-and-drop onto the canvas
+  setupSceneFileTransfer() {
+    const exportBtn = document.getElementById('export-scenes-btn');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => this.exportScenes());
+    }
+
+    const fileInput = document.getElementById('import-scenes-input');
+    const importBtn = document.getElementById('import-scenes-btn');
+    if (importBtn && fileInput) {
+      importBtn.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', async () => {
+        await this.importSceneFiles(Array.from(fileInput.files));
+        fileInput.value = '';  // Allow re-importing the same file
+      });
+    }
+
+    const canvas = this.renderer.domElement;
+    canvas.addEventListener('dragover', (e) => {
+      if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+      }
+    });
+    canvas.addEventListener('drop', (e) => {
+      const files = Array.from(e.dataTransfer?.files || []).filter(f => f.name.toLowerCase().endsWith('.json'));
+      if (files.length === 0) return;
+      e.preventDefault();
+      this.importSceneFiles(files);
+    });
+  }
+
+  // Download scenes as a .lowpoly.json file (all saved scenes if names is omitted)
+  exportScenes(names = Object.keys(this.savedScenes)) {
+    if (names.length === 0) {
+      alert('No saved scenes to export.');
+      return;
+    }
+
+    const scenes = {};
+    names.forEach(name => { scenes[name] = this.savedScenes[name]; });
+    const fileName = names.length === 1
+      ? sceneFileName(names[0])
+      : sceneFileName(`lowpoly-scenes-${new Date().toISOString().slice(0, 10)}`);
+
+    const blob = new Blob([JSON.stringify(createSceneFile(scenes), null, 2)], { type: 'application/json' });
+    this.downloadBlob(blob, fileName);
+
+    console.log(`Exported ${names.length} scene(s) to ${fileName}`);
+  }
+
+  // File name stem for renders of the current scene
+  exportBaseName() {
+    return (this.currentSceneName || 'lowpoly').replace(/[^\w-]+/g, '_');
+  }
+
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Import one or more scene files, asking what to do when a name already exists
+  async importSceneFiles(files) {
+    const imported = [];
+    let conflictChoice = null;  // Remembered when "apply to all" is ticked
+
+    for (const file of files) {
+      let result;
+      try {
+        result = parseSceneFile(JSON.parse(await file.text()), file.name);
+      } catch (err) {
+        console.error(`Import of ${file.name} failed:`, err);
+        alert(`Could not import ${file.name}:\n${err.message}`);
+        continue;
+      }
+      this.reportSceneIssues(file.name, result.issues);
+
+      for (const [name, state] of Object.entries(result.scenes)) {
+        let targetName = name;
+        if (name in this.savedScenes) {
+          const choice = conflictChoice || await this.askSceneConflict(name);
+          if (choice.applyToAll) conflictChoice = choice;
+
+          if (choice.action === 'keep') continue;
+          if (choice.action === 'rename') {
+            targetName = choice.applyToAll || !choice.name
+              ? uniqueSceneName(name, this.savedScenes)
+              : choice.name;
+          }
+        }
+        this.savedScenes[targetName] = state;
+        imported.push(targetName);
+      }
+    }
+
+    if (imported.length > 0) {
+      imported.forEach(name => this.storeScene(name));
+      this.renderSceneList();
+      console.log('Imported scenes:', imported);
+      alert(`Imported ${imported.length} scene(s):\n${imported.join('\n')}`);
+    }
+    return imported;
+  }
+
+  // Merge dialog for an imported scene whose name is taken: keep, replace or rename
+  askSceneConflict(name) {
+    return new Promise((resolve) => {
+      const overlay = document.createElement('div');
+      overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;z-index:2000;font-family:monospace;font-size:12px;';
+
+      const suggestion = uniqueSceneName(name, this.savedScenes);
+      overlay.innerHTML = `
+        <div style="background:#222;color:#fff;border-radius:8px;padding:16px;min-width:280px;max-width:90%;">
+          <div style="font-weight:bold;margin-bottom:8px;">Scene already exists</div>
+          <div style="color:#aaa;margin-bottom:10px;">"${escapeHtml(name)}" is already in your local scenes.</div>
+          <input type="text" class="conflict-name" value="${escapeHtml(suggestion)}" style="width:100%;padding:6px;border:none;border-radius:4px;background:#333;color:#fff;margin-bottom:8px;box-sizing:border-box;">
+          <label style="display:block;color:#aaa;margin-bottom:10px;"><input type="checkbox" class="conflict-all"> Apply to all conflicts</label>
+          <div style="display:flex;gap:4px;">
+            <button data-action="keep" style="flex:1;background:#555;color:#fff;border:none;padding:6px;border-radius:4px;cursor:pointer;">Keep existing</button>
+            <button data-action="replace" style="flex:1;background:#e74c3c;color:#fff;border:none;padding:6px;border-radius:4px;cursor:pointer;">Replace</button>
+            <button data-action="rename" style="flex:1;background:#4CAF50;color:#fff;border:none;padding:6px;border-radius:4px;cursor:pointer;">Rename</button>
+          </div>
+        </div>
+      `;
+
+      const nameInput = overlay.querySelector('.conflict-name');
+      overlay.querySelectorAll('button[data-action]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const newName = nameInput.value.trim();
+          if (btn.dataset.action === 'rename' && newName in this.savedScenes) {
+            nameInput.style.outline = '1px solid #e74c3c';
+            return;
+          }
+          overlay.remove();
+          resolve({
+            action: btn.dataset.action,
+            name: newName,
+            applyToAll: overlay.querySelector('.conflict-all').checked
+          });
+        });
+      });
+
+      document.body.appendChild(overlay);
+      nameInput.select();
+    });
+  }
+
+  // Render a JPEG snapshot of the scene from a camera state (for scene/view lists).
+  // Renders to the main canvas and copies it in the same task, so nothing flickers on screen.
+  renderThumbnail(camState = this.captureCameraState()) {
+    try {
+      const canvas = this.renderer.domElement;
+      const camera = this.cameraFromState(camState);
+
+      const thumb = document.createElement('canvas');
+      thumb.width = this.THUMBNAIL_WIDTH;
+      thumb.height = Math.round(this.THUMBNAIL_WIDTH * canvas.height / canvas.width);
+      this.withEditorHelpersHidden(() => {
+        this.renderer.render(this.scene, camera);
+        thumb.getContext('2d').drawImage(canvas, 0, 0, thumb.width, thumb.height);
+      });
+      this.renderer.render(this.scene, this.camera);
+
+      return thumb.toDataURL('image/jpeg', 0.75);
+    } catch (err) {
+      console.warn('Thumbnail render failed:', err);
+      return undefined;
+    }
+  }
+
+  // A separate camera posed from a camera state, for rendering without touching the
+  // live one. `aspect` reshapes it (default: the canvas aspect).
+  cameraFromState(camState, aspect = null) {
+    const lens = this.savedViewState(camState);
+    const camera = (lens.projection === 'orthographic' ? this.orthoCamera : this.perspectiveCamera).clone();
+    camera.position.set(camState.position.x, camState.position.y, camState.position.z);
+    camera.up.set(0, 1, 0);
+    const forward = new THREE.Vector3(camState.target.x, camState.target.y, camState.target.z).sub(camera.position).normalize();
+    camera.up.applyAxisAngle(forward, THREE.MathUtils.degToRad(lens.roll));
+    camera.lookAt(camState.target.x, camState.target.y, camState.target.z);
+    if (camState.zoom !== undefined) camera.zoom = camState.zoom;
+    if (camera.isPerspectiveCamera) camera.fov = lens.fov;
+    camera.near = lens.near;
+    camera.far = lens.far;
+    if (aspect && camera.isOrthographicCamera) {
+      updateOrthographicFrustum(camera, aspect);
+    } else if (aspect) {
+      camera.aspect = aspect;
+    }
+    camera.updateProjectionMatrix();
+    return camera;
+  }
+
+  // Run a render with gizmos, grid and helper boxes hidden (thumbnails, image export)
+  withEditorHelpersHidden(render) {
+    const helpers = [
+      this.transformControls?.getHelper(), this.gridHelper, this.axesHelper,
+      ...this.selectionHelpers, ...this.overlapHelpers, this.placement?.ghost
+    ].filter(Boolean);
+    const wasVisible = helpers.map(h => h.visible);
+    helpers.forEach(h => { h.visible = false; });
+    try {
+      return render();
+    } finally {
+      helpers.forEach((h, i) => { h.visible = wasVisible[i]; });
+    }
+  }
+
+  // Small inline thumbnail for list buttons (empty placeholder keeps rows aligned)
+  thumbnailHtml(src, width) {
+    const style = `width:${width}px;height:${Math.round(width * 9 / 16)}px;object-fit:cover;border-radius:2px;flex-shrink:0;background:#222;`;
+    return src
+      ? `<img src="${escapeHtml(src)}" alt="" style="${style}">`
+      : `<span style="display:inline-block;${style}"></span>`;
+  }
+
+  // Show a larger thumbnail next to the cursor while hovering a list entry
+  attachThumbnailPreview(element, src) {
+    if (!src) return;
+    let preview = document.getElementById('thumbnail-preview');
+    if (!preview) {
+      preview = document.createElement('img');
+      preview.id = 'thumbnail-preview';
+      preview.style.cssText = `position:fixed;width:${this.THUMBNAIL_WIDTH}px;border:2px solid #74b9ff;border-radius:6px;box-shadow:0 4px 16px rgba(0,0,0,0.6);pointer-events:none;z-index:1500;display:none;`;
+      document.body.appendChild(preview);
+    }
+
+    element.addEventListener('mouseenter', () => {
+      preview.src = src;
+      preview.style.display = 'block';
+    });
+    element.addEventListener('mousemove', (e) => {
+      // Keep the preview on screen: show it on the left when the list is on the right
+      const left = e.clientX - this.THUMBNAIL_WIDTH - 16;
+      preview.style.left = `${left > 0 ? left : e.clientX + 16}px`;
+      preview.style.top = `${Math.min(e.clientY + 16, window.innerHeight - preview.offsetHeight - 8)}px`;
+    });
+    // Clicking re-renders the list, so the hovered element may never get a mouseleave
+    const hide = () => { preview.style.display = 'none'; };
+    element.addEventListener('mouseleave', hide);
+    element.addEventListener('click', hide);
+  }
+
   // Generate a shareable URL with scene data encoded
-  shareScene() {
+  // useFragment: put the scene in #scene= so it never reaches server logs
+  async shareScene(useFragment = false) {
     const state = this.captureSceneState();
-    const json = JSON.stringify(state);
-    // Compress using base64
-    const encoded = btoa(encodeURIComponent(json));
+    // Thumbnails would dwarf the rest of the link; the receiver can re-save to get new ones
+    state.cameraViews = Object.fromEntries(Object.entries(state.cameraViews).map(([name, view]) => {
+      if (!view) return [name, view];
+      const { thumbnail, ...rest } = view;
+      return [name, rest];
+    }));
+    // Compact binary encoding (quantized + deflated), see sceneCodec.js
+    const encoded = await encodeSceneForURL(state);
 
     // Build URL with current page path
     const baseUrl = window.location.origin + window.location.pathname;
-    const shareUrl = `${baseUrl}?scene=${encoded}`;
+    const shareUrl = useFragment ? `${baseUrl}#scene=${encoded}` : `${baseUrl}?scene=${encoded}`;
 
     // Copy to clipboard
     navigator.clipboard.writeText(shareUrl).then(() => {
-      alert('Share URL copied to clipboard!\n\nPaste this URL to load the scene on any device.');
+      alert(`Share URL copied to clipboard! (${shareUrl.length} characters)\n\nPaste this URL to load the scene on any device.`);
       console.log('Share URL:', shareUrl);
     }).catch(err => {
       // Fallback: show in prompt
@@ -1284,22 +4315,27 @@ class LowPolyViewer {
 
   // Load scene from URL parameter if present, or load preset on GitHub Pages
   async loadSceneFromURL() {
+    // Private links keep the scene in the #fragment, regular ones in ?scene=
+    const hashParams = new URLSearchParams(window.location.hash.slice(1));
     const urlParams = new URLSearchParams(window.location.search);
-    const sceneParam = urlParams.get('scene');
+    const sceneParam = hashParams.get('scene') || urlParams.get('scene');
 
     // First try loading from URL parameter
     if (sceneParam) {
       try {
-        const json = decodeURIComponent(atob(sceneParam));
-        const state = JSON.parse(json);
-        await this.applySceneState(state);
-        console.log('Scene loaded from URL');
+        // Handles both the compact format and legacy base64 JSON links
+        const raw = await decodeSceneFromURL(sceneParam);
+        const state = this.parseSceneDocument(raw, 'shared URL');
+        if (state) {
+          await this.applySceneState(state);
+          console.log('Scene loaded from URL');
 
-        // Clean URL without reloading page
-        const cleanUrl = window.location.origin + window.location.pathname;
-        window.history.replaceState({}, document.title, cleanUrl);
+          // Clean URL without reloading page
+          const cleanUrl = window.location.origin + window.location.pathname;
+          window.history.replaceState({}, document.title, cleanUrl);
 
-        return true;
+          return true;
+        }
       } catch (err) {
         console.error('Failed to load scene from URL:', err);
       }
@@ -1317,23 +4353,28 @@ class LowPolyViewer {
       if (scenesResponse.ok && contentType && contentType.includes('application/json')) {
         const allData = await scenesResponse.json();
 
-        // Load saved scenes (merge with localStorage on localhost)
+        // Load saved scenes (merge with local scenes on localhost)
         if (allData.savedScenes) {
-          // On localhost, merge with existing localStorage scenes
+          const { scenes: presetScenes, issues } = normalizeSceneMap(allData.savedScenes);
+          this.reportSceneIssues('presets/scenes.json', issues);
+
+          // On localhost, merge with existing local scenes
           const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
           if (isLocalhost) {
-            // Merge: localStorage scenes take priority, but add any from preset that don't exist
-            this.savedScenes = { ...allData.savedScenes, ...this.savedScenes };
+            // Merge: local scenes take priority, but add any from preset that don't exist
+            this.savedScenes = { ...presetScenes, ...this.savedScenes };
           } else {
-            this.savedScenes = allData.savedScenes;
+            this.savedScenes = presetScenes;
           }
           this.renderSceneList();
           console.log('Loaded saved scenes:', Object.keys(this.savedScenes));
         }
 
         // Apply current scene
-        if (allData.currentScene) {
-          await this.applySceneState(allData.currentScene);
+        const currentScene = allData.currentScene &&
+          this.parseSceneDocument(allData.currentScene, 'presets/scenes.json');
+        if (currentScene) {
+          await this.applySceneState(currentScene);
           console.log('Current scene loaded from preset');
           return true;
         }
@@ -1350,7 +4391,8 @@ class LowPolyViewer {
       const contentType = response.headers.get('content-type');
 
       if (response.ok && contentType && contentType.includes('application/json')) {
-        const state = await response.json();
+        const state = this.parseSceneDocument(await response.json(), 'presets/game-scene-1.json');
+        if (!state) return false;
         await this.applySceneState(state);
         this.currentSceneName = 'Game Scene 1';
         this.renderSceneList();
@@ -1571,6 +4613,7 @@ class LowPolyViewer {
     if (!this.utilityPoles) this.utilityPoles = [];
 
     // Clear existing
+    this.unregisterSelectables(this.utilityPoles);
     this.utilityPoles.forEach(p => this.scene.remove(p));
     this.utilityPoles = [];
 
@@ -1587,6 +4630,7 @@ class LowPolyViewer {
     // Spawn each pole
     polePositions.forEach((pos, i) => {
       const pole = this.createUtilityPole(pos.x, pos.z);
+      this.registerGenerated(pole, `pole_${i}`);
       this.utilityPoles.push(pole);
 
       // Connect cables to next pole
@@ -1893,13 +4937,11 @@ class LowPolyViewer {
     // Hide ground-level objects during capture (keeps buildings + sky)
     if (this.puddles) this.puddles.forEach(p => p.visible = false);
     if (this.groundTiles) this.groundTiles.forEach(t => t.visible = false);
-    if (this.roadPieces) this.roadPieces.forEach(r => r.visible = false);
+    const roadVisibility = this.roadPieces.map(r => r.visible);
+    this.roadPieces.forEach(r => r.visible = false);
     if (this.gridHelper) this.gridHelper.visible = false;
     if (this.streetLights) this.streetLights.forEach(l => l.visible = false);
 
-    // Ensure all buildings (selectableObjects) are visible
-    this.selectableObjects.forEach(obj => obj.visible = true);
-
     // Position cube camera near the main action area
     this.puddleCubeCamera.position.set(0, 0.3, -20);
 
@@ -1909,7 +4951,7 @@ class LowPolyViewer {
     // Restore visibility (except grid helper which stays hidden by default)
     if (this.puddles) this.puddles.forEach(p => p.visible = true);
     if (this.groundTiles) this.groundTiles.forEach(t => t.visible = true);
-    if (this.roadPieces) this.roadPieces.forEach(r => r.visible = true);
+    this.roadPieces.forEach((r, i) => r.visible = roadVisibility[i]);  // Outliner-hidden roads stay hidden
     // gridHelper stays hidden - user can toggle with G key
     if (this.streetLights) this.streetLights.forEach(l => l.visible = true);
 
@@ -1919,13 +4961,13 @@ class LowPolyViewer {
   }
 
   // Spawn a single reflective puddle with alpha map for soft edges
-  spawnPuddle(x, z, scale = 1, rotationY = 0) {
+  spawnPuddle(x, z, scale = 1, rotationY = 0, alphaSeed = Math.random() * 10000) {
     // Use a plane geometry - shape controlled by alpha map
     const geometry = new THREE.PlaneGeometry(2, 2);
     geometry.rotateX(-Math.PI / 2); // Lie flat
 
-    // Create unique alpha map for this puddle
-    const alphaMap = this.createPuddleAlphaMap(Math.random() * 10000);
+    // Create unique alpha map for this puddle (seeded so saved layouts look the same)
+    const alphaMap = this.createPuddleAlphaMap(alphaSeed);
 
     // Use CubeCamera reflection if available, fallback to skybox
     const envMap = this.puddleCubeCamera
@@ -1976,38 +5018,27 @@ class LowPolyViewer {
   }
 
   // Spawn multiple puddles around the scene
-  spawnPuddles() {
+  // layout: [{ x, z, scale, rotation, seed }] from the scene environment
+  spawnPuddles(layout = DEFAULT_PUDDLES) {
     console.log('Spawning puddles... skyboxCubemap:', this.skyboxCubemap ? 'exists' : 'null');
 
     // Clear existing puddles
     if (this.puddles) {
-      this.puddles.forEach(p => this.scene.remove(p));
+      this.puddles.forEach(p => {
+        this.scene.remove(p);
+        p.geometry.dispose();
+        p.material.alphaMap?.dispose();
+        p.material.dispose();
+      });
       this.puddles = [];
     }
 
-    // Puddle locations - near the car and along road in Game Scene 1
-    const puddleConfigs = [
-      // Near the car (z ~ -18)
-      { x: -0.5, z: -17, scale: 1.2, rot: Math.random() * Math.PI },
-      { x: 0.8, z: -19, scale: 0.8, rot: Math.random() * Math.PI },
-      { x: -1.2, z: -20, scale: 1.0, rot: Math.random() * Math.PI },
-
-      // Along the road spine
-      { x: 0.3, z: -23, scale: 0.7, rot: Math.random() * Math.PI },
-      { x: -0.8, z: -26, scale: 0.9, rot: Math.random() * Math.PI },
-      { x: 0.5, z: -30, scale: 1.1, rot: Math.random() * Math.PI },
-
-      // Near intersections
-      { x: 1.5, z: -33, scale: 0.6, rot: Math.random() * Math.PI },
-      { x: -1.0, z: -38, scale: 0.8, rot: Math.random() * Math.PI },
-    ];
-
-    puddleConfigs.forEach(config => {
-      const puddle = this.spawnPuddle(config.x, config.z, config.scale, config.rot);
+    layout.forEach(config => {
+      this.spawnPuddle(config.x, config.z, config.scale, config.rotation, config.seed);
       console.log(`Puddle at (${config.x}, ${config.z}), scale: ${config.scale}`);
     });
 
-    console.log(`Spawned ${this.puddles.length} puddles`);
+    console.log(`Spawned ${this.puddles ? this.puddles.length : 0} puddles`);
   }
 
   // Boost texture contrast (for road stripes visibility)
@@ -2314,6 +5345,222 @@ class LowPolyViewer {
     });
   }
 
+  // ==================== ENVIRONMENT SETTINGS ====================
+  // Sky, fog, sun, exposure and the generated layout (roads, puddles, ground)
+  // are saved in scene state so shared links and presets look the same everywhere.
+
+  getDefaultEnvironment() {
+    return {
+      skybox: 'sky_44',
+      backgroundIntensity: this.isMobile ? 1.5 : 1.8,
+      fog: { color: 0xd0e0ff, near: this.isMobile ? 30 : 20, far: this.isMobile ? 120 : 100 },
+      sun: { x: 30, y: 60, z: 20 },
+      exposure: 0.85,
+      roadSeed: 12345,
+      puddles: DEFAULT_PUDDLES.map(p => ({ ...p })),
+      groundGridSize: this.isMobile ? 10 : 20
+    };
+  }
+
+  captureEnvironment() {
+    return JSON.parse(JSON.stringify(this.environment));
+  }
+
+  // Load (or reuse) a skybox and swap it into every material reflecting the old one
+  async applySkybox(key) {
+    let sky = SKYBOXES[key];
+    if (!sky) {
+      console.warn(`Unknown skybox "${key}", using sky_44`);
+      sky = SKYBOXES.sky_44;
+      key = 'sky_44';
+    }
+
+    const previous = this.skyboxCubemap;
+    let cubemap = null;
+    if (sky.path) {
+      try {
+        if (!this.skyboxCache[key]) {
+          const useIOSPath = this.isIOS && sky.iosPath;
+          this.skyboxCache[key] = await this.loadSkybox(
+            getAssetPath(useIOSPath ? sky.iosPath : sky.path),
+            useIOSPath ? sky.iosExt : sky.ext
+          );
+          console.log(`Skybox loaded: ${key}${useIOSPath ? ' (iOS - smaller png)' : ''}`);
+        }
+        cubemap = this.skyboxCache[key];
+      } catch (error) {
+        console.warn('Skybox failed, using sky color:', error.message);
+      }
+    }
+
+    this.skyboxCubemap = cubemap;
+    this.scene.background = cubemap || new THREE.Color(SKY_FALLBACK_COLOR);
+
+    if (previous && previous !== cubemap) {
+      this.scene.traverse((node) => {
+        if (!node.isMesh) return;
+        const materials = Array.isArray(node.material) ? node.material : [node.material];
+        materials.forEach(mat => {
+          if (mat.envMap === previous) {
+            mat.envMap = cubemap;
+            mat.needsUpdate = true;
+          }
+        });
+      });
+    }
+  }
+
+  // Settings that only change uniforms (no reloading or regeneration)
+  applyEnvironmentLook(env) {
+    this.scene.backgroundIntensity = env.backgroundIntensity;
+    this.sceneFog = new THREE.Fog(env.fog.color, env.fog.near, env.fog.far);
+    this.sun.position.set(env.sun.x, env.sun.y, env.sun.z);
+    this.renderer.toneMappingExposure = env.exposure;
+  }
+
+  // Environment changes run one at a time: undo/redo don't wait for them, and two
+  // road rebuilds running at once would both add their pieces
+  queueEnvironment(task) {
+    const run = this.environmentQueue.then(task);
+    // A failed run must not block the next one (the caller still gets the error)
+    this.environmentQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Apply saved settings over the defaults
+  applyEnvironment(saved) {
+    return this.queueEnvironment(() => this.applyEnvironmentNow(saved));
+  }
+
+  // Regenerate only what changed since the current settings
+  async applyEnvironmentNow(saved) {
+    const defaults = this.getDefaultEnvironment();
+    const env = {
+      ...defaults,
+      ...saved,
+      fog: { ...defaults.fog, ...saved?.fog },
+      sun: { ...defaults.sun, ...saved?.sun }
+    };
+    const previous = this.environment;
+    this.environment = env;
+
+    const skyChanged = env.skybox !== previous.skybox;
+    if (skyChanged) await this.applySkybox(env.skybox);
+    this.applyEnvironmentLook(env);
+
+    const roadsChanged = env.roadSeed !== previous.roadSeed;
+    if (roadsChanged) await this.spawnSpineAndBranchSystem3(env.roadSeed);
+
+    const puddlesChanged = JSON.stringify(env.puddles) !== JSON.stringify(previous.puddles);
+    if (puddlesChanged) this.spawnPuddles(env.puddles);
+
+    if (env.groundGridSize !== previous.groundGridSize) {
+      this.generateGroundGrid(env.groundGridSize);
+    }
+
+    // Reflections are single snapshots, so retake them when what they show changed
+    if (skyChanged || roadsChanged || puddlesChanged) {
+      this.roadReflectionCaptured = false;
+      if (this.puddleCubeCamera) this.puddleReflectionCaptured = false;
+      this.captureStaticPuddleReflections();
+      this.captureRoadReflections();
+    }
+
+    this.renderEnvironmentPanel();
+  }
+
+  // Change environment settings from the panel (undoable)
+  async setEnvironment(changes, label = 'Change environment') {
+    const logError = (err) => console.error('Could not apply environment settings:', err);
+    let before, after;
+    try {
+      // Read the settings inside the queue, so changes still waiting there are kept
+      await this.queueEnvironment(() => {
+        before = this.captureEnvironment();
+        after = { ...before, ...changes };
+        return this.applyEnvironmentNow(after);
+      });
+    } catch (err) {
+      logError(err);
+      return;
+    }
+    const apply = (env) => this.applyEnvironment(env).catch(logError);
+    this.history.record({
+      label,
+      undo: () => apply(before),
+      redo: () => apply(after)
+    });
+  }
+
+  // New random rotation and shape for every puddle (positions stay on the road)
+  shufflePuddles() {
+    const puddles = this.environment.puddles.map(p => ({
+      ...p,
+      rotation: Math.round(Math.random() * Math.PI * 100) / 100,
+      seed: Math.floor(Math.random() * 10000)
+    }));
+    this.setEnvironment({ puddles }, 'Shuffle puddles');
+  }
+
+  setupEnvironmentPanel() {
+    const panel = document.getElementById('environment-panel');
+    if (!panel) return;
+
+    const skySelect = panel.querySelector('[data-env="skybox"]');
+    skySelect.innerHTML = Object.entries(SKYBOXES)
+      .map(([key, sky]) => `<option value="${key}">${escapeHtml(sky.label)}</option>`)
+      .join('');
+
+    const gridInput = panel.querySelector('[data-env="groundGridSize"]');
+    gridInput.min = GROUND_GRID_SIZE_RANGE.min;
+    gridInput.max = GROUND_GRID_SIZE_RANGE.max;
+
+    panel.querySelectorAll('[data-env]').forEach(input => {
+      input.addEventListener('change', () => {
+        const [key, field] = input.dataset.env.split('.');
+        let value = input.value;
+        if (input.type === 'number') {
+          value = parseFloat(value);
+          if (!Number.isFinite(value)) {
+            this.renderEnvironmentPanel();
+            return;
+          }
+          if (key === 'roadSeed' || key === 'groundGridSize') value = Math.round(value);
+          if (key === 'groundGridSize') {
+            value = Math.max(GROUND_GRID_SIZE_RANGE.min, Math.min(GROUND_GRID_SIZE_RANGE.max, value));
+          }
+          if (key === 'exposure') value = Math.max(0.05, value);
+        }
+        const changes = field
+          ? { [key]: { ...this.environment[key], [field]: value } }
+          : { [key]: value };
+        if (key === 'fog' && changes.fog.far <= changes.fog.near) {
+          this.renderEnvironmentPanel();
+          return;
+        }
+        this.setEnvironment(changes);
+      });
+    });
+
+    document.getElementById('env-random-seed-btn').addEventListener('click', () => {
+      this.setEnvironment({ roadSeed: Math.floor(Math.random() * 100000) }, 'New road layout');
+    });
+    document.getElementById('env-shuffle-puddles-btn').addEventListener('click', () => this.shufflePuddles());
+
+    this.renderEnvironmentPanel();
+  }
+
+  // Show the current settings in the panel inputs
+  renderEnvironmentPanel() {
+    const panel = document.getElementById('environment-panel');
+    if (!panel || !this.environment) return;
+    panel.querySelectorAll('[data-env]').forEach(input => {
+      const [key, field] = input.dataset.env.split('.');
+      const value = field ? this.environment[key][field] : this.environment[key];
+      input.value = value;
+    });
+  }
+
   createToonGradientMap() {
     // Vibrant saturated gradient for deep colors
     const colors = new Uint8Array([
@@ -2387,6 +5634,7 @@ class LowPolyViewer {
     });
 
     const outline = new THREE.Mesh(geometry, outlineMaterial);
+    outline.userData.isOutline = true;  // Not part of the model (e.g. for triangle counts)
     outline.castShadow = false;
     outline.receiveShadow = false;
     return outline;
@@ -2751,6 +5999,7 @@ class LowPolyViewer {
     });
 
     const outline = new THREE.Mesh(geometry, outlineMaterial);
+    outline.userData.isOutline = true;  // Not part of the model (e.g. for triangle counts)
     outline.castShadow = false;
     outline.receiveShadow = false;
     return outline;
@@ -2956,16 +6205,32 @@ class LowPolyViewer {
   // Road1 = straight piece, RoadX = 4-way intersection
   // Origin of each piece acts as socket_in (no explicit socket_in empty)
   // Socket snapping: snap piece origin to world position of previous piece's target socket
-  async spawnSpineAndBranchSystem3() {
-    console.log('[System 3] Main Road with Side Streets...');
-
-    // Clear existing
-    this.roadPieces.forEach(p => this.scene.remove(p));
+  async spawnSpineAndBranchSystem3(seed = 12345) {
+    console.log(`[System 3] Main Road with Side Streets (seed ${seed})...`);
+
+    // Clear existing (including templates from a previous run). Pieces are clones sharing
+    // the templates' geometry and materials; the GLB textures go with the templates.
+    // Edits of the old pieces can't be undone any more, so they leave the history.
+    const oldPieces = new Set(this.roadPieces);
+    this.history.discard(command => command.objects?.some(o => oldPieces.has(o)));
+    this.unregisterSelectables(this.roadPieces);
+    this.roadPieces.forEach(p => {
+      this.scene.remove(p);
+      this.disposeObject(p);
+    });
     this.roadPieces = [];
+    if (this.system3Templates) {
+      this.system3Templates.forEach(t => {
+        this.scene.remove(t);
+        t.traverse(child => child.material?.map?.dispose());
+        this.disposeObject(t);
+      });
+    }
+    this.system3Templates = [];
+    this.roadMeshes = [];
 
     // Seeded PRNG for deterministic road generation (mulberry32)
-    const SEED = 12345;
-    let seedState = SEED;
+    let seedState = seed;
     const seededRandom = () => {
       seedState |= 0;
       seedState = seedState + 0x6D2B79F5 | 0;
@@ -3049,6 +6314,7 @@ class LowPolyViewer {
 
         template.visible = false;
         this.scene.add(template);
+        this.system3Templates.push(template);
         templates[name] = template;
         console.log(`  Loaded: ${name}`);
       } catch (error) {
@@ -3084,6 +6350,7 @@ class LowPolyViewer {
       const piece = template.clone(true);
       piece.visible = true;
       piece.traverse((child) => { child.visible = true; });
+      piece.userData.roadType = pieceType;
 
       // SOCKET SNAPPING: Snap origin to target position/rotation
       piece.position.copy(targetPos);
@@ -3091,6 +6358,7 @@ class LowPolyViewer {
 
       this.scene.add(piece);
       piece.updateMatrixWorld(true);
+      this.registerGenerated(piece, `road_${this.roadPieces.length}`);
       this.roadPieces.push(piece);
 
       return piece;
@@ -3190,6 +6458,8 @@ class LowPolyViewer {
     }
 
     console.log(`[System 3] Complete: ${this.roadPieces.length} total pieces, ${branches.length} side streets`);
+    this.updateRoadCells();
+    this.renderOutliner();
   }
 
   // SYSTEM 2: Road network using Road1 and RoadX (intersection piece)
@@ -3254,6 +6524,7 @@ class LowPolyViewer {
 
         template.visible = false;
         this.scene.add(template);
+        this.system3Templates.push(template);
         templates[name] = template;
         console.log(`  Loaded: ${name}`);
       } catch (error) {
@@ -4112,17 +7383,243 @@ class LowPolyViewer {
     this.gridHelper.visible = !this.gridHelper.visible;
   }
 
+  // ==================== KEYBOARD SHORTCUTS ====================
+  // Every shortcut is a keymap action, so the help overlay and the hint bar are
+  // generated from the same list and users can remap keys (saved per browser).
+
+  registerShortcuts() {
+    const km = this.keymap;
+    km.register('grid', { group: 'View', label: 'Toggle grid', keys: ['KeyG'], run: () => this.toggleGrid() });
+    km.register('hideUI', { group: 'View', label: 'Hide / show UI', keys: ['KeyH'], run: () => this.toggleUI() });
+    km.register('resetCamera', { group: 'View', label: 'Reset camera', keys: ['Shift+KeyC'], run: () => this.resetCameraToOrigin() });
+    km.register('frameSelected', { group: 'View', label: 'Frame selection', keys: ['KeyF'], run: () => this.frameSelection() });
+    km.register('frameAll', { group: 'View', label: 'Frame all', keys: ['Shift+KeyF'], run: () => this.frameAll() });
+    km.register('zoomIn', { group: 'View', label: 'Precise zoom in', keys: ['Equal', 'NumpadAdd'], run: () => this.preciseZoom(0.1) });
+    km.register('zoomOut', { group: 'View', label: 'Precise zoom out', keys: ['Minus', 'NumpadSubtract'], run: () => this.preciseZoom(-0.1) });
+    km.register('cameraMode', { group: 'View', label: 'Camera mode (orbit / walk / chase)', keys: ['KeyV'], run: () => this.cycleCameraMode() });
+    km.register('projection', { group: 'View', label: 'Perspective / orthographic', keys: ['Numpad5'], run: () => this.toggleProjection() });
+    km.register('planView', { group: 'View', label: 'Plan view (top-down)', keys: ['Numpad7'], run: () => this.applyOrthoPreset('plan') });
+    km.register('isometricView', { group: 'View', label: 'Isometric view', keys: ['KeyI'], run: () => this.applyOrthoPreset('isometric') });
+
+    km.register('translate', { group: 'Transform', label: 'Translate', keys: ['KeyT'], run: () => this.setTransformMode('translate') });
+    km.register('rotate', { group: 'Transform', label: 'Rotate', keys: ['KeyR'], run: () => this.setTransformMode('rotate') });
+    km.register('scale', { group: 'Transform', label: 'Scale', keys: ['KeyY'], run: () => this.setTransformMode('scale') });
+    km.register('pivot', {
+      group: 'Transform', label: 'Toggle group pivot', keys: ['Period'],
+      run: () => this.setPivotMode(this.pivotMode === 'center' ? 'active' : 'center')
+    });
+    km.register('roadSnap', {
+      group: 'Transform', label: 'Snap to road', keys: ['KeyM'],
+      run: () => this.setRoadSnap({ enabled: !this.roadSnap.enabled })
+    });
+
+    km.register('deselect', { group: 'Selection', label: 'Deselect', keys: ['Escape'], run: () => this.deselectObject() });
+    km.register('selectAll', { group: 'Selection', label: 'Select all', keys: ['Ctrl+KeyA'], preventDefault: true, run: () => this.selectAll() });
+    km.register('delete', { group: 'Selection', label: 'Delete', keys: ['Delete', 'Backspace'], run: () => this.deleteSelectedObject() });
+    km.register('rename', { group: 'Selection', label: 'Rename', keys: ['F2'], preventDefault: true, run: () => this.renameSelectedObject() });
+    km.register('duplicate', { group: 'Selection', label: 'Duplicate', keys: ['Ctrl+KeyD'], preventDefault: true, run: () => this.duplicateSelection() });
+
+    km.register('undo', { group: 'History', label: 'Undo', keys: ['Ctrl+KeyZ'], preventDefault: true, run: () => this.undo() });
+    km.register('redo', { group: 'History', label: 'Redo', keys: ['Ctrl+Shift+KeyZ', 'Ctrl+KeyY'], preventDefault: true, run: () => this.redo() });
+
+    km.register('inspector', { group: 'Panels', label: 'Inspector', keys: ['KeyP'], run: () => this.toggleInspector() });
+    km.register('exportRemaining', { group: 'Panels', label: 'Export remaining buildings', keys: ['Shift+KeyX'], run: () => this.exportRemainingBuildings() });
+    km.register('exportImage', { group: 'Panels', label: 'Export image', keys: ['Shift+KeyE'], run: () => this.showImageExportDialog() });
+    km.register('exportFrames', { group: 'Panels', label: 'Export frame sequence', keys: [], run: () => this.showFrameExportDialog() });
+    km.register('help', { group: 'Panels', label: 'Keyboard shortcuts', keys: ['Shift+Slash'], run: () => this.toggleShortcutHelp() });
+
+    km.findConflicts().forEach(({ combo, actions }) => {
+      console.warn(`Shortcut ${formatCombo(combo)} is bound to several actions: ${actions.join(', ')} (the first one wins)`);
+    });
+    this.renderControlsHint();
+  }
+
+  // Keys of an action for display, e.g. "Ctrl+Shift+Z / Ctrl+Y"
+  shortcutLabel(id) {
+    const keys = this.keymap.actions.get(id)?.keys || [];
+    return keys.length ? keys.map(formatCombo).join(' / ') : 'unbound';
+  }
+
+  // The hint bar at the bottom of the screen
+  renderControlsHint() {
+    const hint = document.getElementById('controls-hint');
+    if (!hint) return;
+    const item = (keys, label) => `<strong>${escapeHtml(keys)}</strong> ${escapeHtml(label)}`;
+    const mouse = FIXED_SHORTCUTS.filter(s => s.group === 'Mouse').map(s => item(s.keys, s.label));
+    const actions = [...this.keymap.actions.values()]
+      .filter(a => a.keys.length && a.id !== 'help')
+      .map(a => item(formatCombo(a.keys[0]), a.label));
+    const help = this.keymap.actions.get('help')?.keys[0];
+    if (help) mouse.push(item(formatCombo(help), 'All shortcuts'));
+
+    hint.innerHTML = `${mouse.join(' &nbsp;|&nbsp; ')}<br>
+      <span style="color:#74b9ff;margin-top:4px;display:inline-block;">${actions.join(' &nbsp;|&nbsp; ')}</span>`;
+  }
+
+  toggleShortcutHelp() {
+    if (this.closeShortcutHelp) {
+      this.closeShortcutHelp();
+      return;
+    }
+
+    const overlay = document.createElement('div');
+    overlay.id = 'shortcut-help';
+    overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;z-index:2000;font-family:monospace;font-size:12px;';
+    document.body.appendChild(overlay);
+
+    // Remapping: the next key combo pressed goes to this action
+    let capture = null;  // { id, combo?, conflict? }
+    const close = () => {
+      window.removeEventListener('keydown', onKeyDown, true);
+      overlay.remove();
+      this.closeShortcutHelp = null;
+    };
+    this.closeShortcutHelp = close;
+
+    const render = () => {
+      const conflicts = this.keymap.findConflicts();
+      const groups = new Map();
+      const addRow = (group, html) => {
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(html);
+      };
+      const chip = (text) => `<span style="background:#444;color:#fff;border-radius:3px;padding:1px 5px;margin-left:3px;white-space:nowrap;">${escapeHtml(text)}</span>`;
+
+      this.keymap.actions.forEach(action => {
+        const conflicted = conflicts.some(c => c.actions.includes(action.id));
+        let keys = action.keys.length ? action.keys.map(k => chip(formatCombo(k))).join('') : '<span style="color:#666;">unbound</span>';
+        let buttons = `<button data-action="change" data-id="${action.id}" style="background:#555;color:#fff;border:none;padding:1px 6px;border-radius:3px;cursor:pointer;font-size:10px;margin-left:6px;">Change</button>`;
+        if (this.keymap.isCustomized(action.id)) {
+          buttons += `<button data-action="reset" data-id="${action.id}" title="Back to ${escapeHtml(action.defaults.map(formatCombo).join(' / ') || 'unbound')}" style="background:#555;color:#fff;border:none;padding:1px 6px;border-radius:3px;cursor:pointer;font-size:10px;margin-left:3px;">Reset</button>`;
+        }
+
+        if (capture?.id === action.id) {
+          if (capture.conflict) {
+            keys = `<span style="color:#e74c3c;">${escapeHtml(formatCombo(capture.combo))} is used by "${escapeHtml(capture.conflict.label)}"</span>`;
+            buttons = `<button data-action="replace" style="background:#e74c3c;color:#fff;border:none;padding:1px 6px;border-radius:3px;cursor:pointer;font-size:10px;margin-left:6px;">Replace</button>` +
+              `<button data-action="cancel" style="background:#555;color:#fff;border:none;padding:1px 6px;border-radius:3px;cursor:pointer;font-size:10px;margin-left:3px;">Cancel</button>`;
+          } else {
+            keys = '<span style="color:#ffd166;">Press a key... (Esc cancels)</span>';
+            buttons = '';
+          }
+        }
+
+        addRow(action.group, `
+          <div style="display:flex;align-items:center;justify-content:space-between;padding:2px 0;">
+            <span style="color:${conflicted ? '#e74c3c' : '#ddd'};">${escapeHtml(action.label)}</span>
+            <span style="display:flex;align-items:center;">${keys}${buttons}</span>
+          </div>`);
+      });
+      FIXED_SHORTCUTS.forEach(s => addRow(s.group, `
+          <div style="display:flex;align-items:center;justify-content:space-between;padding:2px 0;">
+            <span style="color:#aaa;">${escapeHtml(s.label)}</span>
+            <span>${chip(s.keys)}</span>
+          </div>`));
+
+      const sections = [...groups].map(([group, rows]) => `
+        <div style="break-inside:avoid;margin-bottom:10px;">
+          <div style="color:#74b9ff;font-weight:bold;margin-bottom:4px;">${escapeHtml(group)}</div>
+          ${rows.join('')}
+        </div>`).join('');
+
+      overlay.innerHTML = `
+        <div style="background:#222;color:#fff;border-radius:8px;padding:16px;width:640px;max-width:92%;max-height:85vh;overflow-y:auto;">
+          <div style="font-weight:bold;margin-bottom:8px;">Keyboard Shortcuts</div>
+          ${conflicts.length ? `<div style="color:#e74c3c;margin-bottom:8px;">${conflicts.length} key${conflicts.length === 1 ? ' is' : 's are'} bound to several actions (marked red)</div>` : ''}
+          <div style="columns:2;column-gap:24px;">${sections}</div>
+          <div style="display:flex;gap:4px;">
+            <button data-action="reset-all" style="flex:1;background:#555;color:#fff;border:none;padding:6px;border-radius:4px;cursor:pointer;">Reset all</button>
+            <button data-action="close" style="flex:1;background:#74b9ff;color:#000;border:none;padding:6px;border-radius:4px;cursor:pointer;">Close</button>
+          </div>
+        </div>
+      `;
+    };
+
+    const changed = () => {
+      capture = null;
+      this.renderControlsHint();
+      render();
+    };
+
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        close();
+        return;
+      }
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
+      const action = btn.dataset.action;
+      if (action === 'close') {
+        close();
+      } else if (action === 'change') {
+        capture = { id: btn.dataset.id };
+        render();
+      } else if (action === 'cancel') {
+        capture = null;
+        render();
+      } else if (action === 'replace') {
+        this.keymap.bind(capture.id, capture.combo, { replace: true });
+        changed();
+      } else if (action === 'reset') {
+        this.keymap.reset(btn.dataset.id);
+        changed();
+      } else if (action === 'reset-all') {
+        this.keymap.reset();
+        changed();
+      }
+    });
+
+    // Runs before the editor's shortcuts so keys can be captured
+    const onKeyDown = (e) => {
+      if (!capture || capture.conflict) {
+        if (e.code === 'Escape') {
+          e.stopPropagation();
+          if (capture) {
+            capture = null;
+            render();
+          } else {
+            close();
+          }
+        }
+        return;
+      }
+      const combo = comboFromEvent(e);
+      if (!combo) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (combo === 'Escape') {
+        capture = null;
+        render();
+        return;
+      }
+      const { conflict } = this.keymap.bind(capture.id, combo);
+      if (conflict) {
+        capture = { ...capture, combo, conflict };
+        render();
+      } else {
+        console.log(`Shortcut for ${this.keymap.actions.get(capture.id).label}: ${formatCombo(combo)}`);
+        changed();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown, true);
+
+    render();
+  }
+
   toggleUI() {
     const elements = [
       document.getElementById('controls-hint'),
       document.getElementById('scene-menu'),
-      document.getElementById('building-menu')
+      document.getElementById('building-menu'),
+      document.getElementById('history-menu'),
+      document.getElementById('outliner-menu')
     ];
 
     this.uiHidden = !this.uiHidden;
     elements.forEach(el => {
       if (el) el.style.display = this.uiHidden ? 'none' : '';
     });
+    this.renderInspector();
 
     // Also hide transform gizmo if visible
     if (this.uiHidden && this.transformControls) {
@@ -4135,6 +7632,17 @@ class LowPolyViewer {
   }
 
   preciseZoom(amount) {
+    this.dollyCamera(amount);
+  }
+
+  // Move camera and target along the view direction (positive = forward);
+  // the orthographic camera zooms instead
+  dollyCamera(amount) {
+    if (this.camera.isOrthographicCamera) {
+      this.camera.zoom = orthoDollyZoom(this.camera.zoom, amount);
+      this.camera.updateProjectionMatrix();
+      return;
+    }
     const forward = new THREE.Vector3();
     this.camera.getWorldDirection(forward);
     const movement = forward.multiplyScalar(amount);
@@ -4143,36 +7651,20 @@ class LowPolyViewer {
   }
 
   resetCameraToOrigin() {
-    // Smoothly animate camera back to origin view
-    const targetPos = new THREE.Vector3(0, 2, 0);
-    const cameraPos = new THREE.Vector3(8, 2, 12);
-
-    // Animate over ~0.3 seconds
-    const duration = 300;
-    const startTime = performance.now();
-    const startTarget = this.controls.target.clone();
-    const startCamera = this.camera.position.clone();
-
-    const animate = () => {
-      const elapsed = performance.now() - startTime;
-      const t = Math.min(elapsed / duration, 1);
-      // Ease out cubic
-      const ease = 1 - Math.pow(1 - t, 3);
-
-      this.controls.target.lerpVectors(startTarget, targetPos, ease);
-      this.camera.position.lerpVectors(startCamera, cameraPos, ease);
-
-      if (t < 1) {
-        requestAnimationFrame(animate);
-      }
-    };
-    animate();
+    // Smoothly animate camera back to origin view (over ~0.3 seconds)
+    this.animateCameraTo({
+      position: { x: 8, y: 2, z: 12 },
+      target: { x: 0, y: 2, z: 0 },
+      mode: 'orbit'
+    }, { duration: 0.3, easing: 'easeOutCubic' });
     console.log('Camera reset to origin');
   }
 
   onResize() {
-    this.camera.aspect = window.innerWidth / window.innerHeight;
-    this.camera.updateProjectionMatrix();
+    const aspect = window.innerWidth / window.innerHeight;
+    this.perspectiveCamera.aspect = aspect;
+    this.perspectiveCamera.updateProjectionMatrix();
+    updateOrthographicFrustum(this.orthoCamera, aspect);
     this.renderer.setSize(window.innerWidth, window.innerHeight);
   }
 
@@ -4192,7 +7684,19 @@ class LowPolyViewer {
 
   animate() {
     requestAnimationFrame(() => this.animate());
-    this.controls.update();
+    const now = performance.now();
+    const dt = Math.min((now - this.lastFrameTime) / 1000, 0.1);
+    this.lastFrameTime = now;
+
+    this.updateCameraRoll();
+    if (this.cameraMode === 'orbit' || this.cameraTween) {
+      this.controls.update();
+    } else if (this.cameraMode === 'walk') {
+      this.updateWalk(dt);
+    } else {
+      this.updateChase(dt);
+    }
+    this.selectionHelpers.forEach(helper => helper.update());
     this.renderer.render(this.scene, this.camera);
   }
 }
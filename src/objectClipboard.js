@@ -0,0 +1,53 @@
+/**
+ * Object clipboard - JSON format for copied scene objects
+ *
+ * Copied objects go on the system clipboard as text, so they can be pasted
+ * into another saved scene (or another tab):
+ *   { format: 'lowpoly-objects', version: 1, objects: [{ type, name, position, rotation, scale }] }
+ *
+ * Objects are recreated from their building type on paste, like spawned ones.
+ */
+
+export const OBJECT_CLIPBOARD_FORMAT = 'lowpoly-objects';
+export const OBJECT_CLIPBOARD_VERSION = 1;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isVector = (value) =>
+  value !== null && typeof value === 'object' &&
+  isFiniteNumber(value.x) && isFiniteNumber(value.y) && isFiniteNumber(value.z);
+
+export function createObjectClipboard(objects) {
+  return {
+    format: OBJECT_CLIPBOARD_FORMAT,
+    version: OBJECT_CLIPBOARD_VERSION,
+    objects
+  };
+}
+
+/**
+ * Parse clipboard text. Returns the list of object entries, or null if the
+ * text isn't copied objects (so a normal paste can go ahead).
+ */
+export function parseObjectClipboard(text) {
+  if (!text || !text.includes(OBJECT_CLIPBOARD_FORMAT)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+  if (!data || data.format !== OBJECT_CLIPBOARD_FORMAT || !Array.isArray(data.objects)) return null;
+  if (data.version > OBJECT_CLIPBOARD_VERSION) {
+    console.warn(`Clipboard objects use version ${data.version}, this viewer supports up to ${OBJECT_CLIPBOARD_VERSION}`);
+    return null;
+  }
+
+  return data.objects.filter((entry, i) => {
+    const ok = entry && typeof entry.type === 'string' && entry.type &&
+      isVector(entry.position) && isVector(entry.rotation) && isVector(entry.scale);
+    if (!ok) console.warn(`Clipboard object ${i} is invalid, skipped`);
+    return ok;
+  });
+}
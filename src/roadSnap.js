@@ -0,0 +1,105 @@
+/**
+ * Road snapping - place buildings along the frontage of generated roads
+ *
+ * Every System 3 road piece runs from its origin (socket_in) to its socket_out
+ * empty, so each piece is a straight centerline segment. Side streets are
+ * pieces chained from a RoadX's socket_left/socket_right, so they show up as
+ * segments of their own. snapToRoad() finds the nearest segment, pushes the
+ * object out to the road edge plus a setback, and turns it to face the street.
+ */
+
+import * as THREE from 'three';
+
+const _box = new THREE.Box3();
+const _size = new THREE.Vector3();
+
+// Exact socket lookup (RoadX also has socket_left/socket_right)
+function findSocket(piece, socketName) {
+  let socket = null;
+  piece.traverse((child) => {
+    if (!socket && child.name.toLowerCase() === socketName) socket = child;
+  });
+  return socket;
+}
+
+/**
+ * Build centerline segments for road pieces.
+ * Returns [{ start, end, dir, length, halfWidth }] in world XZ (y = 0).
+ */
+export function buildRoadSegments(pieces) {
+  const segments = [];
+  let straightHalfWidth = null;
+
+  pieces.forEach(piece => {
+    if (!piece.visible) return;
+    const out = findSocket(piece, 'socket_out');
+    if (!out) return;
+
+    piece.updateMatrixWorld(true);
+    const start = piece.getWorldPosition(new THREE.Vector3()).setY(0);
+    const end = out.getWorldPosition(new THREE.Vector3()).setY(0);
+    const length = start.distanceTo(end);
+    if (length < 1e-3) return;
+
+    const dir = end.clone().sub(start).divideScalar(length);
+    // Road width across the travel direction, from the world bounding box
+    _box.setFromObject(piece).getSize(_size);
+    const halfWidth = (Math.abs(dir.z) * _size.x + Math.abs(dir.x) * _size.z) / 2;
+
+    const isIntersection = piece.userData.roadType === 'RoadX';
+    if (!isIntersection && straightHalfWidth === null) straightHalfWidth = halfWidth;
+    segments.push({ start, end, dir, length, halfWidth, isIntersection });
+  });
+
+  // An intersection's box includes its cross arms, so use the straight road width
+  if (straightHalfWidth !== null) {
+    segments.forEach(s => { if (s.isIntersection) s.halfWidth = straightHalfWidth; });
+  }
+  return segments;
+}
+
+/**
+ * Depth of an object along its own facing axis (+Z), ignoring its current rotation.
+ */
+export function objectHalfDepth(object) {
+  const quaternion = object.quaternion.clone();
+  object.quaternion.identity();
+  object.updateMatrixWorld(true);
+  _box.setFromObject(object).getSize(_size);
+  object.quaternion.copy(quaternion);
+  object.updateMatrixWorld(true);
+  return _size.z / 2;
+}
+
+/**
+ * Snap an XZ position to the nearest road frontage.
+ * Returns { position, rotationY, distance } or null if there are no roads.
+ * rotationY turns the object's +Z (its front) toward the road.
+ */
+export function snapToRoad(point, segments, { setback = 1, halfDepth = 0 } = {}) {
+  let best = null;
+  const p = new THREE.Vector3(point.x, 0, point.z);
+
+  segments.forEach(segment => {
+    const t = THREE.MathUtils.clamp(p.clone().sub(segment.start).dot(segment.dir), 0, segment.length);
+    const closest = segment.start.clone().addScaledVector(segment.dir, t);
+    const distance = p.distanceTo(closest);
+    if (!best || distance < best.distance) {
+      best = { segment, closest, distance };
+    }
+  });
+  if (!best) return null;
+
+  const { segment, closest } = best;
+  // Perpendicular pointing to the side of the road the object is on
+  const normal = new THREE.Vector3(segment.dir.z, 0, -segment.dir.x);
+  if (p.clone().sub(closest).dot(normal) < 0) normal.negate();
+
+  const position = closest.clone().addScaledVector(normal, segment.halfWidth + setback + halfDepth);
+  position.y = point.y;
+  return {
+    position,
+    rotationY: Math.atan2(-normal.x, -normal.z),
+    distance: best.distance
+  };
+}
@@ -0,0 +1,429 @@
+/**
+ * Scene URL codec - compact, versioned encoding for shared scene links
+ *
+ * Format:  "v1." + base64url(payload)
+ *   payload[0]   compression (0 = none, 1 = deflate-raw via CompressionStream)
+ *   payload[1..] binary body:
+ *     schema      varint scene schemaVersion (0 = unversioned)
+ *     transforms  varint count, then per object: id, flags, quantized pos/rot/scale
+ *     spawned     varint count, then per entry: transform index, type string
+ *     cameraViews varint count, then per view: name, flags, quantized pos/target/zoom
+ *                 (in list order, which is the cameraViewOrder from schema v3)
+ *     active view varint index
+ *     extras      JSON string of any fields the binary layout doesn't cover
+ *
+ * Strings that match the building dictionary (or "<type>_<n>") are stored as
+ * small indices. Anything without a "v1." prefix is treated as the legacy
+ * btoa(encodeURIComponent(JSON)) format.
+ */
+
+export const SCENE_CODEC_VERSION = 1;
+const PREFIX = `v${SCENE_CODEC_VERSION}.`;
+
+// Append-only: indices are baked into shared links, never reorder or remove
+const TYPE_DICTIONARY = [
+  'apartment1', 'autoshop', 'building1', 'factory',
+  'house1', 'house2', 'house3', 'house4',
+  'nuclearPlant', 'nuclearplant', 'office', 'roadbarrier1',
+  'trafficlight1', 'tree1', 'warehouse', 'car', 'Default'
+];
+
+// Quantization steps
+const POSITION_SCALE = 1000;   // 1 mm
+const ANGLE_SCALE = 100;       // 0.01 degree
+const UNIT_SCALE = 1000;       // 0.001 for scale and zoom
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// String tags
+const STR_LITERAL = 0;
+const STR_DICT = 1;
+const STR_DICT_SUFFIX = 2;  // "<dictionary word>_<n>"
+
+// Transform flags
+const T_HAS_Y = 1;
+const T_HAS_XZ_ROTATION = 2;
+const T_HAS_SCALE = 4;
+const T_UNIFORM_SCALE = 8;
+
+// Camera view flags
+const V_NULL = 1;
+const V_HAS_ZOOM = 2;
+
+class ByteWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  byte(value) {
+    this.bytes.push(value & 0xff);
+  }
+
+  varint(value) {
+    // Unsigned LEB128 (safe up to 2^53 since we divide instead of shifting)
+    while (value >= 0x80) {
+      this.bytes.push((value % 0x80) | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    this.bytes.push(value);
+  }
+
+  // Zigzag so small negative numbers stay small
+  svarint(value) {
+    this.varint(value < 0 ? -value * 2 - 1 : value * 2);
+  }
+
+  quantized(value, scale) {
+    this.svarint(Math.round(value * scale));
+  }
+
+  rawString(text) {
+    const encoded = new TextEncoder().encode(text);
+    this.varint(encoded.length);
+    encoded.forEach(b => this.bytes.push(b));
+  }
+
+  string(text) {
+    const dictIndex = TYPE_DICTIONARY.indexOf(text);
+    if (dictIndex > -1) {
+      this.byte(STR_DICT);
+      this.varint(dictIndex);
+      return;
+    }
+    const match = /^(.+)_(\d{1,9})$/.exec(text);
+    if (match && TYPE_DICTIONARY.includes(match[1]) && String(Number(match[2])) === match[2]) {
+      this.byte(STR_DICT_SUFFIX);
+      this.varint(TYPE_DICTIONARY.indexOf(match[1]));
+      this.varint(Number(match[2]));
+      return;
+    }
+    this.byte(STR_LITERAL);
+    this.rawString(text);
+  }
+
+  toUint8Array() {
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  byte() {
+    if (this.offset >= this.bytes.length) {
+      throw new Error('Scene link is truncated');
+    }
+    return this.bytes[this.offset++];
+  }
+
+  varint() {
+    let result = 0;
+    let multiplier = 1;
+    let b;
+    do {
+      b = this.byte();
+      result += (b & 0x7f) * multiplier;
+      multiplier *= 0x80;
+    } while (b & 0x80);
+    return result;
+  }
+
+  svarint() {
+    const value = this.varint();
+    return value % 2 ? -(value + 1) / 2 : value / 2;
+  }
+
+  quantized(scale) {
+    return this.svarint() / scale;
+  }
+
+  rawString() {
+    const length = this.varint();
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Scene link is truncated');
+    }
+    const text = new TextDecoder().decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return text;
+  }
+
+  dictionaryWord() {
+    const index = this.varint();
+    if (index >= TYPE_DICTIONARY.length) {
+      throw new Error(`Unknown dictionary entry ${index} (link made by a newer viewer?)`);
+    }
+    return TYPE_DICTIONARY[index];
+  }
+
+  string() {
+    const tag = this.byte();
+    if (tag === STR_DICT) return this.dictionaryWord();
+    if (tag === STR_DICT_SUFFIX) return `${this.dictionaryWord()}_${this.varint()}`;
+    if (tag === STR_LITERAL) return this.rawString();
+    throw new Error(`Invalid string tag ${tag}`);
+  }
+}
+
+function writeTransform(w, t) {
+  const rotDeg = {
+    x: t.rotation.x * RAD_TO_DEG,
+    y: t.rotation.y * RAD_TO_DEG,
+    z: t.rotation.z * RAD_TO_DEG
+  };
+  const q = (v, s) => Math.round(v * s);
+
+  let flags = 0;
+  if (q(t.position.y, POSITION_SCALE) !== 0) flags |= T_HAS_Y;
+  if (q(rotDeg.x, ANGLE_SCALE) !== 0 || q(rotDeg.z, ANGLE_SCALE) !== 0) flags |= T_HAS_XZ_ROTATION;
+  const sx = q(t.scale.x, UNIT_SCALE);
+  const sy = q(t.scale.y, UNIT_SCALE);
+  const sz = q(t.scale.z, UNIT_SCALE);
+  if (sx !== UNIT_SCALE || sy !== UNIT_SCALE || sz !== UNIT_SCALE) {
+    flags |= T_HAS_SCALE;
+    if (sx === sy && sy === sz) flags |= T_UNIFORM_SCALE;
+  }
+  w.byte(flags);
+
+  w.quantized(t.position.x, POSITION_SCALE);
+  if (flags & T_HAS_Y) w.quantized(t.position.y, POSITION_SCALE);
+  w.quantized(t.position.z, POSITION_SCALE);
+
+  w.quantized(rotDeg.y, ANGLE_SCALE);
+  if (flags & T_HAS_XZ_ROTATION) {
+    w.quantized(rotDeg.x, ANGLE_SCALE);
+    w.quantized(rotDeg.z, ANGLE_SCALE);
+  }
+
+  if (flags & T_HAS_SCALE) {
+    w.quantized(t.scale.x, UNIT_SCALE);
+    if (!(flags & T_UNIFORM_SCALE)) {
+      w.quantized(t.scale.y, UNIT_SCALE);
+      w.quantized(t.scale.z, UNIT_SCALE);
+    }
+  }
+}
+
+function readTransform(r) {
+  const flags = r.byte();
+  const position = { x: r.quantized(POSITION_SCALE), y: 0, z: 0 };
+  if (flags & T_HAS_Y) position.y = r.quantized(POSITION_SCALE);
+  position.z = r.quantized(POSITION_SCALE);
+
+  const rotation = { x: 0, y: r.quantized(ANGLE_SCALE) / RAD_TO_DEG, z: 0 };
+  if (flags & T_HAS_XZ_ROTATION) {
+    rotation.x = r.quantized(ANGLE_SCALE) / RAD_TO_DEG;
+    rotation.z = r.quantized(ANGLE_SCALE) / RAD_TO_DEG;
+  }
+
+  const scale = { x: 1, y: 1, z: 1 };
+  if (flags & T_HAS_SCALE) {
+    scale.x = r.quantized(UNIT_SCALE);
+    if (flags & T_UNIFORM_SCALE) {
+      scale.y = scale.z = scale.x;
+    } else {
+      scale.y = r.quantized(UNIT_SCALE);
+      scale.z = r.quantized(UNIT_SCALE);
+    }
+  }
+  return { position, rotation, scale };
+}
+
+function writeVector(w, v, scale) {
+  w.quantized(v.x, scale);
+  w.quantized(v.y, scale);
+  w.quantized(v.z, scale);
+}
+
+function readVector(r, scale) {
+  return { x: r.quantized(scale), y: r.quantized(scale), z: r.quantized(scale) };
+}
+
+// Fields of a camera view that the binary layout stores itself
+const VIEW_FIELDS = ['position', 'target', 'zoom'];
+// Top-level fields that the binary layout stores itself
+const STATE_FIELDS = ['schemaVersion', 'transforms', 'spawned', 'cameraViews', 'cameraViewOrder', 'activeCameraView'];
+
+function encodeBody(state) {
+  const w = new ByteWriter();
+  const extras = {};
+
+  // Scene schema version, so schema migrations still apply on load
+  w.varint(state.schemaVersion || 0);
+
+  // Transforms (keyed by object id; by name before schema v2)
+  const ids = Object.keys(state.transforms || {});
+  w.varint(ids.length);
+  ids.forEach(id => {
+    w.string(id);
+    writeTransform(w, state.transforms[id]);
+  });
+
+  // Spawned objects reference their transform by index
+  const spawned = state.spawned || [];
+  w.varint(spawned.length);
+  spawned.forEach(entry => {
+    const id = entry.id ?? entry.name;
+    const index = ids.indexOf(id);
+    if (index === -1) {
+      throw new Error(`Spawned object "${id}" has no transform`);
+    }
+    w.varint(index);
+    w.string(entry.type);
+  });
+
+  // Camera views
+  const viewNames = state.cameraViewOrder || Object.keys(state.cameraViews || {});
+  const viewExtras = {};
+  w.varint(viewNames.length);
+  viewNames.forEach(name => {
+    const view = state.cameraViews[name];
+    w.string(name);
+    if (!view) {
+      w.byte(V_NULL);
+      return;
+    }
+    const hasZoom = view.zoom !== undefined && view.zoom !== 1;
+    w.byte(hasZoom ? V_HAS_ZOOM : 0);
+    writeVector(w, view.position, POSITION_SCALE);
+    writeVector(w, view.target, POSITION_SCALE);
+    if (hasZoom) w.quantized(view.zoom, UNIT_SCALE);
+
+    const rest = Object.fromEntries(Object.entries(view).filter(([key]) => !VIEW_FIELDS.includes(key)));
+    if (Object.keys(rest).length > 0) viewExtras[name] = rest;
+  });
+  w.varint(Math.max(viewNames.indexOf(state.activeCameraView), 0));
+
+  // Everything else travels as JSON (still compressed with the rest)
+  Object.entries(state).forEach(([key, value]) => {
+    if (!STATE_FIELDS.includes(key)) extras[key] = value;
+  });
+  if (Object.keys(viewExtras).length > 0) extras.__viewExtras = viewExtras;
+  w.rawString(Object.keys(extras).length > 0 ? JSON.stringify(extras) : '');
+
+  return w.toUint8Array();
+}
+
+function decodeBody(bytes) {
+  const r = new ByteReader(bytes);
+  const schemaVersion = r.varint();
+
+  const transforms = {};
+  const ids = [];
+  const transformCount = r.varint();
+  for (let i = 0; i < transformCount; i++) {
+    const id = r.string();
+    ids.push(id);
+    transforms[id] = readTransform(r);
+  }
+
+  // Schema v2 renamed the spawned entry key from name to id
+  const spawnedKey = schemaVersion >= 2 ? 'id' : 'name';
+  const spawned = [];
+  const spawnedCount = r.varint();
+  for (let i = 0; i < spawnedCount; i++) {
+    const id = ids[r.varint()];
+    if (id === undefined) throw new Error('Spawned entry points to a missing transform');
+    spawned.push({ [spawnedKey]: id, type: r.string() });
+  }
+
+  const cameraViews = {};
+  const viewNames = [];
+  const viewCount = r.varint();
+  for (let i = 0; i < viewCount; i++) {
+    const name = r.string();
+    viewNames.push(name);
+    const flags = r.byte();
+    if (flags & V_NULL) {
+      cameraViews[name] = null;
+      continue;
+    }
+    const view = {
+      position: readVector(r, POSITION_SCALE),
+      target: readVector(r, POSITION_SCALE),
+      zoom: 1
+    };
+    if (flags & V_HAS_ZOOM) view.zoom = r.quantized(UNIT_SCALE);
+    cameraViews[name] = view;
+  }
+  const activeCameraView = viewNames[r.varint()];
+
+  const extrasJson = r.rawString();
+  const { __viewExtras: viewExtras = {}, ...extras } = extrasJson ? JSON.parse(extrasJson) : {};
+  Object.entries(viewExtras).forEach(([name, rest]) => {
+    if (cameraViews[name]) Object.assign(cameraViews[name], rest);
+  });
+
+  const state = { ...extras, transforms, spawned, cameraViews, activeCameraView };
+  if (schemaVersion > 0) state.schemaVersion = schemaVersion;
+  // Schema v3 keeps the list order apart from the keys (see cameraViews.js)
+  if (schemaVersion >= 3) state.cameraViewOrder = viewNames;
+  return state;
+}
+
+async function pipeThrough(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// Encode a scene state into a compact URL-safe string
+export async function encodeSceneForURL(state) {
+  const body = encodeBody(state);
+  let compression = 0;
+  let payloadBody = body;
+
+  if (typeof CompressionStream !== 'undefined') {
+    const deflated = await pipeThrough(body, new CompressionStream('deflate-raw'));
+    if (deflated.length < body.length) {
+      compression = 1;
+      payloadBody = deflated;
+    }
+  }
+
+  const payload = new Uint8Array(payloadBody.length + 1);
+  payload[0] = compression;
+  payload.set(payloadBody, 1);
+  return PREFIX + toBase64Url(payload);
+}
+
+// Decode either a compact "v1." link or a legacy base64 JSON link into a raw scene document
+export async function decodeSceneFromURL(encoded) {
+  if (!encoded.startsWith(PREFIX)) {
+    if (/^v\d+\./.test(encoded)) {
+      throw new Error(`Scene link uses encoding ${encoded.split('.')[0]}, which this viewer doesn't support`);
+    }
+    // URLSearchParams turns the '+' of unescaped legacy links into spaces
+    return JSON.parse(decodeURIComponent(atob(encoded.replace(/ /g, '+'))));
+  }
+
+  const payload = fromBase64Url(encoded.slice(PREFIX.length));
+  const compression = payload[0];
+  let body = payload.subarray(1);
+
+  if (compression === 1) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress scene links (no DecompressionStream)');
+    }
+    body = await pipeThrough(body, new DecompressionStream('deflate-raw'));
+  } else if (compression !== 0) {
+    throw new Error(`Unknown scene link compression ${compression}`);
+  }
+
+  return decodeBody(body);
+}
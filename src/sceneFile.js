@@ -0,0 +1,73 @@
+/**
+ * Scene files - .lowpoly.json export/import format
+ *
+ * An exported file holds one or more named scenes:
+ *   { format: 'lowpoly-scenes', version: 1, exportedAt, scenes: { name: state } }
+ *
+ * Import also accepts a bare scene document (named after the file) and the
+ * presets/scenes.json bundle ({ currentScene, savedScenes }), so any scene
+ * JSON an artist has lying around can be dropped in.
+ */
+
+import { normalizeSceneState, normalizeSceneMap } from './sceneSchema.js';
+
+export const SCENE_FILE_FORMAT = 'lowpoly-scenes';
+export const SCENE_FILE_VERSION = 1;
+export const SCENE_FILE_EXTENSION = '.lowpoly.json';
+
+export function createSceneFile(scenes) {
+  return {
+    format: SCENE_FILE_FORMAT,
+    version: SCENE_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    scenes
+  };
+}
+
+// Scene name derived from a file name ("Main Street.lowpoly.json" -> "Main Street")
+export function sceneNameFromFileName(fileName) {
+  return fileName.replace(/\.lowpoly\.json$/i, '').replace(/\.json$/i, '') || 'Imported Scene';
+}
+
+// Safe file name for a download
+export function sceneFileName(name) {
+  const slug = name.trim().replace(/[^a-z0-9_\- ]+/gi, '').replace(/\s+/g, '-');
+  return (slug || 'scene') + SCENE_FILE_EXTENSION;
+}
+
+/**
+ * Parse the JSON contents of an imported file.
+ * Returns { scenes, issues }; throws if nothing in the file is a usable scene.
+ */
+export function parseSceneFile(json, fileName) {
+  if (json && json.format === SCENE_FILE_FORMAT) {
+    if (json.version > SCENE_FILE_VERSION) {
+      throw new Error(`File uses scene file version ${json.version}, this viewer supports up to ${SCENE_FILE_VERSION}`);
+    }
+    return normalizeSceneMap(json.scenes);
+  }
+
+  // presets/scenes.json bundle
+  if (json && (json.savedScenes || json.currentScene)) {
+    const { scenes, issues } = normalizeSceneMap(json.savedScenes || {});
+    if (json.currentScene) {
+      const current = normalizeSceneState(json.currentScene);
+      scenes[sceneNameFromFileName(fileName)] = current.state;
+      current.issues.forEach(issue => issues.push(`currentScene: ${issue}`));
+    }
+    return { scenes, issues };
+  }
+
+  // Single scene document
+  const { state, issues } = normalizeSceneState(json);
+  return { scenes: { [sceneNameFromFileName(fileName)]: state }, issues };
+}
+
+// Suggest a free name: "Main Street" -> "Main Street (2)"
+export function uniqueSceneName(name, existing) {
+  if (!(name in existing)) return name;
+  const base = name.replace(/ \(\d+\)$/, '');
+  let n = 2;
+  while (`${base} (${n})` in existing) n++;
+  return `${base} (${n})`;
+}
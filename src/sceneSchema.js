@@ -0,0 +1,484 @@
+/**
+ * Scene document schema - versioning, validation and migrations
+ *
+ * Every scene that enters the viewer (localStorage, ?scene= links, presets)
+ * goes through normalizeSceneState() so applySceneState() only ever sees the
+ * current shape. Old documents are upgraded by the ordered MIGRATIONS chain.
+ */
+
+import { CAMERA_MODES } from './cameraNavigation.js';
+import { PROJECTIONS } from './cameraProjection.js';
+
+export const SCENE_SCHEMA_VERSION = 3;
+
+// Ground tiles per side (the environment panel's input uses the same range)
+export const GROUND_GRID_SIZE_RANGE = { min: 2, max: 60 };
+
+// Thrown when a document can't be repaired into a usable scene
+export class SceneValidationError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'SceneValidationError';
+    this.issues = issues;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Thumbnails are small data: URLs rendered when a scene or view is saved. They end up
+// in <img src>, so anything but a plain base64 image is refused
+const THUMBNAIL_PATTERN = /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/=]+$/;
+const isThumbnail = (value) => typeof value === 'string' && THUMBNAIL_PATTERN.test(value);
+
+// A transform entry looks like { position: {x,y,z}, rotation: {...}, scale: {...} }
+const looksLikeTransform = (value) =>
+  isPlainObject(value) && (isPlainObject(value.position) || isPlainObject(value.rotation));
+
+// Detect the schema version of a raw document (unversioned documents are v0)
+export function detectSchemaVersion(doc) {
+  if (isPlainObject(doc) && Number.isInteger(doc.schemaVersion)) {
+    return doc.schemaVersion;
+  }
+  return 0;
+}
+
+// Ordered migration chain: each step upgrades a document from `from` to `from + 1`
+const MIGRATIONS = [
+  {
+    from: 0,
+    // v0 covers the three unversioned shapes the viewer has written over time:
+    //   1. bare transforms map          { house1_1: { position, rotation, scale } }
+    //   2. transforms + single camera   { transforms, camera }
+    //   3. transforms + camera views    { transforms, spawned, cameraViews, activeCameraView }
+    migrate(doc) {
+      const isBareTransforms = !('transforms' in doc) &&
+        Object.keys(doc).length > 0 &&
+        Object.values(doc).every(looksLikeTransform);
+
+      if (isBareTransforms) {
+        return {
+          transforms: doc,
+          spawned: [],
+          cameraViews: { 'Default': null },
+          activeCameraView: 'Default'
+        };
+      }
+
+      const { camera, ...rest } = doc;
+      const migrated = { ...rest };
+      if (!migrated.cameraViews && camera) {
+        migrated.cameraViews = { 'Default': camera };
+        migrated.activeCameraView = 'Default';
+      }
+      return migrated;
+    }
+  },
+  {
+    from: 1,
+    // v2 keys objects by a stable id instead of their display name. Old names
+    // become the ids (they were unique keys already), so existing objects keep
+    // matching; spawned entries switch from { name, type } to { id, type }.
+    migrate(doc) {
+      const spawned = Array.isArray(doc.spawned)
+        ? doc.spawned.map(entry => {
+          if (!isPlainObject(entry)) return entry;
+          const { name, ...rest } = entry;
+          return { id: name, ...rest };
+        })
+        : doc.spawned;
+      return { ...doc, spawned, names: {} };
+    }
+  },
+  {
+    from: 2,
+    // v3 stores the view list order in cameraViewOrder. Until then it was the
+    // cameraViews key order, which can't hold integer-like names ("1", "2")
+    // anywhere but first, so this is the best order that can be recovered.
+    migrate(doc) {
+      const views = isPlainObject(doc.cameraViews) ? doc.cameraViews : {};
+      return { ...doc, cameraViewOrder: Object.keys(views) };
+    }
+  }
+];
+
+// Run every migration between the document's version and the current one
+export function migrateSceneState(doc) {
+  let version = detectSchemaVersion(doc);
+
+  if (version > SCENE_SCHEMA_VERSION) {
+    throw new SceneValidationError(
+      `Scene uses schema v${version}, but this viewer only understands up to v${SCENE_SCHEMA_VERSION}. Update the viewer to load it.`
+    );
+  }
+
+  let current = doc;
+  while (version < SCENE_SCHEMA_VERSION) {
+    const step = MIGRATIONS.find(m => m.from === version);
+    if (!step) {
+      throw new SceneValidationError(`No migration from scene schema v${version}`);
+    }
+    current = { ...step.migrate(current), schemaVersion: version + 1 };
+    version++;
+  }
+  return current;
+}
+
+// Validate a {x,y,z} vector, filling missing/invalid components with a default
+function repairVector(value, fallback, path, issues) {
+  if (!isPlainObject(value)) {
+    issues.push(`${path} is missing, using (${fallback}, ${fallback}, ${fallback})`);
+    return { x: fallback, y: fallback, z: fallback };
+  }
+  const repaired = {};
+  for (const axis of ['x', 'y', 'z']) {
+    if (isFiniteNumber(value[axis])) {
+      repaired[axis] = value[axis];
+    } else {
+      issues.push(`${path}.${axis} is not a number (${JSON.stringify(value[axis])}), using ${fallback}`);
+      repaired[axis] = fallback;
+    }
+  }
+  return repaired;
+}
+
+function validateTransforms(transforms, issues) {
+  const result = {};
+  for (const [name, entry] of Object.entries(transforms)) {
+    if (!isPlainObject(entry)) {
+      issues.push(`transforms["${name}"] is not an object, dropped`);
+      continue;
+    }
+    result[name] = {
+      position: repairVector(entry.position, 0, `transforms["${name}"].position`, issues),
+      rotation: repairVector(entry.rotation, 0, `transforms["${name}"].rotation`, issues),
+      scale: repairVector(entry.scale, 1, `transforms["${name}"].scale`, issues)
+    };
+  }
+  return result;
+}
+
+function validateSpawned(spawned, transforms, issues) {
+  const seen = new Set();
+  return spawned.filter((entry, i) => {
+    if (!isPlainObject(entry) || typeof entry.id !== 'string' || !entry.id) {
+      issues.push(`spawned[${i}] has no id, dropped`);
+      return false;
+    }
+    if (typeof entry.type !== 'string' || !entry.type) {
+      issues.push(`spawned[${i}] ("${entry.id}") has no type, dropped`);
+      return false;
+    }
+    if (seen.has(entry.id)) {
+      issues.push(`spawned[${i}] duplicates "${entry.id}", dropped`);
+      return false;
+    }
+    if (!transforms[entry.id]) {
+      issues.push(`spawned "${entry.id}" has no transform, it will spawn at the origin`);
+    }
+    seen.add(entry.id);
+    return true;
+  });
+}
+
+// Display names by object id; objects without an entry show their id.
+// Uniqueness is enforced by the viewer when the names are applied.
+function validateNames(names, issues) {
+  if (names === undefined) return {};
+  if (!isPlainObject(names)) {
+    issues.push('names is not an object, objects will show their ids');
+    return {};
+  }
+  const result = {};
+  for (const [id, name] of Object.entries(names)) {
+    if (typeof name === 'string' && name.trim()) {
+      result[id] = name.trim();
+    } else {
+      issues.push(`names["${id}"] is not a name (${JSON.stringify(name)}), dropped`);
+    }
+  }
+  return result;
+}
+
+// Camera views may be null (placeholder filled on next capture)
+function validateCameraView(view, name, issues) {
+  if (view === null) return null;
+  if (!isPlainObject(view)) {
+    issues.push(`cameraViews["${name}"] is not an object, reset`);
+    return null;
+  }
+  const repaired = { ...view };
+  repaired.position = repairVector(view.position, 0, `cameraViews["${name}"].position`, issues);
+  repaired.target = repairVector(view.target, 0, `cameraViews["${name}"].target`, issues);
+  if (view.zoom !== undefined && !(isFiniteNumber(view.zoom) && view.zoom > 0)) {
+    issues.push(`cameraViews["${name}"].zoom is invalid (${JSON.stringify(view.zoom)}), using 1`);
+    repaired.zoom = 1;
+  }
+  if (view.thumbnail !== undefined && !isThumbnail(view.thumbnail)) {
+    issues.push(`cameraViews["${name}"].thumbnail is not an image, dropped`);
+    delete repaired.thumbnail;
+  }
+  // Lens: vertical FOV and roll in degrees, clip planes in meters
+  if (view.fov !== undefined && !(isFiniteNumber(view.fov) && view.fov > 0 && view.fov < 180)) {
+    issues.push(`cameraViews["${name}"].fov is invalid (${JSON.stringify(view.fov)}), using the default`);
+    delete repaired.fov;
+  }
+  if (view.near !== undefined && !(isFiniteNumber(view.near) && view.near > 0)) {
+    issues.push(`cameraViews["${name}"].near is invalid (${JSON.stringify(view.near)}), using the default`);
+    delete repaired.near;
+  }
+  if (view.far !== undefined && !(isFiniteNumber(view.far) && view.far > (repaired.near ?? 0))) {
+    issues.push(`cameraViews["${name}"].far is invalid (${JSON.stringify(view.far)}), using the default`);
+    delete repaired.far;
+  }
+  if (view.roll !== undefined && !isFiniteNumber(view.roll)) {
+    issues.push(`cameraViews["${name}"].roll is invalid (${JSON.stringify(view.roll)}), using 0`);
+    delete repaired.roll;
+  }
+  if (view.mode !== undefined && !CAMERA_MODES.includes(view.mode)) {
+    issues.push(`cameraViews["${name}"].mode is unknown (${JSON.stringify(view.mode)}), using orbit`);
+    delete repaired.mode;
+  }
+  if (view.projection !== undefined && !PROJECTIONS.includes(view.projection)) {
+    issues.push(`cameraViews["${name}"].projection is unknown (${JSON.stringify(view.projection)}), using perspective`);
+    delete repaired.projection;
+  }
+  // Sequence settings: transition into the view and hold time (seconds)
+  if (view.transition !== undefined) {
+    const t = view.transition;
+    if (!isPlainObject(t) || !(isFiniteNumber(t.duration) && t.duration >= 0) || typeof t.easing !== 'string') {
+      issues.push(`cameraViews["${name}"].transition is invalid, using the default`);
+      delete repaired.transition;
+    }
+  }
+  if (view.hold !== undefined && !(isFiniteNumber(view.hold) && view.hold >= 0)) {
+    issues.push(`cameraViews["${name}"].hold is invalid (${JSON.stringify(view.hold)}), using the default`);
+    delete repaired.hold;
+  }
+  return repaired;
+}
+
+/**
+ * Camera views kept outside a scene (global bookmarks): the same checks as a
+ * scene's views, but entries that aren't views are dropped instead of reset.
+ */
+export function normalizeCameraViewMap(raw) {
+  const views = {};
+  const issues = [];
+  if (!isPlainObject(raw)) {
+    issues.push('not an object, ignored');
+    return { views, issues };
+  }
+  for (const [name, view] of Object.entries(raw)) {
+    const repaired = validateCameraView(view, name, issues);
+    if (repaired) views[name] = repaired;
+  }
+  return { views, issues };
+}
+
+function validateCameraViews(doc, issues) {
+  let cameraViews = doc.cameraViews;
+  if (cameraViews === undefined) {
+    cameraViews = { 'Default': null };
+  } else if (!isPlainObject(cameraViews)) {
+    issues.push('cameraViews is not an object, reset to Default');
+    cameraViews = { 'Default': null };
+  }
+
+  const views = {};
+  for (const [name, view] of Object.entries(cameraViews)) {
+    views[name] = validateCameraView(view, name, issues);
+  }
+  if (Object.keys(views).length === 0) {
+    views['Default'] = null;
+  }
+
+  // Every view exactly once; views the order misses go last
+  let order = doc.cameraViewOrder;
+  if (!Array.isArray(order)) {
+    if (order !== undefined) issues.push('cameraViewOrder is not a list, using the cameraViews order');
+    order = [];
+  }
+  const cameraViewOrder = [];
+  order.forEach(name => {
+    if (!(typeof name === 'string' && name in views)) {
+      issues.push(`cameraViewOrder lists ${JSON.stringify(name)}, which is not a view, dropped`);
+    } else if (!cameraViewOrder.includes(name)) {
+      cameraViewOrder.push(name);
+    }
+  });
+  Object.keys(views).forEach(name => {
+    if (cameraViewOrder.includes(name)) return;
+    if (order.length > 0) issues.push(`cameraViewOrder misses "${name}", added at the end`);
+    cameraViewOrder.push(name);
+  });
+
+  let active = doc.activeCameraView;
+  if (typeof active !== 'string' || !(active in views)) {
+    const fallback = cameraViewOrder[0];
+    if (active !== undefined) {
+      issues.push(`activeCameraView "${active}" does not exist, using "${fallback}"`);
+    }
+    active = fallback;
+  }
+  return { cameraViews: views, cameraViewOrder, activeCameraView: active };
+}
+
+// Outliner state by object id: { hidden?: boolean, locked?: boolean }
+function validateObjectFlags(flags, issues) {
+  if (flags === undefined) return {};
+  if (!isPlainObject(flags)) {
+    issues.push('objectFlags is not an object, ignored');
+    return {};
+  }
+  const result = {};
+  for (const [id, entry] of Object.entries(flags)) {
+    if (!isPlainObject(entry)) {
+      issues.push(`objectFlags["${id}"] is not an object, dropped`);
+      continue;
+    }
+    const repaired = {};
+    for (const key of ['hidden', 'locked']) {
+      if (entry[key] === undefined) continue;
+      if (typeof entry[key] === 'boolean') {
+        repaired[key] = entry[key];
+      } else {
+        issues.push(`objectFlags["${id}"].${key} is not true/false, dropped`);
+      }
+    }
+    result[id] = repaired;
+  }
+  return result;
+}
+
+// Environment settings are optional field by field: anything invalid is dropped
+// so the viewer falls back to its default for that setting.
+function validateEnvironment(env, issues) {
+  if (!isPlainObject(env)) {
+    issues.push('environment is not an object, using defaults');
+    return undefined;
+  }
+  const result = { ...env };
+  const drop = (key, why) => {
+    issues.push(`environment.${key} ${why} (${JSON.stringify(env[key])}), using default`);
+    delete result[key];
+  };
+
+  if ('skybox' in env && (typeof env.skybox !== 'string' || !env.skybox)) drop('skybox', 'is not a skybox name');
+  if ('backgroundIntensity' in env && !(isFiniteNumber(env.backgroundIntensity) && env.backgroundIntensity >= 0)) {
+    drop('backgroundIntensity', 'is invalid');
+  }
+  if ('exposure' in env && !(isFiniteNumber(env.exposure) && env.exposure > 0)) drop('exposure', 'is invalid');
+  if ('roadSeed' in env && !Number.isInteger(env.roadSeed)) drop('roadSeed', 'is not an integer');
+  const { min: gridMin, max: gridMax } = GROUND_GRID_SIZE_RANGE;
+  if ('groundGridSize' in env &&
+      !(Number.isInteger(env.groundGridSize) && env.groundGridSize >= gridMin && env.groundGridSize <= gridMax)) {
+    drop('groundGridSize', `is not a size between ${gridMin} and ${gridMax}`);
+  }
+
+  if ('fog' in env) {
+    const fog = env.fog;
+    const valid = isPlainObject(fog) &&
+      (fog.color === undefined || (Number.isInteger(fog.color) && fog.color >= 0 && fog.color <= 0xffffff)) &&
+      (fog.near === undefined || (isFiniteNumber(fog.near) && fog.near >= 0)) &&
+      (fog.far === undefined || (isFiniteNumber(fog.far) && fog.far > (fog.near ?? 0)));
+    if (!valid) drop('fog', 'is invalid');
+  }
+
+  if ('sun' in env) {
+    if (isPlainObject(env.sun)) {
+      result.sun = repairVector(env.sun, 0, 'environment.sun', issues);
+    } else {
+      drop('sun', 'is not a position');
+    }
+  }
+
+  if ('puddles' in env) {
+    if (Array.isArray(env.puddles)) {
+      result.puddles = env.puddles.filter((p, i) => {
+        const ok = isPlainObject(p) && isFiniteNumber(p.x) && isFiniteNumber(p.z) &&
+          isFiniteNumber(p.scale) && p.scale > 0 && isFiniteNumber(p.rotation) && isFiniteNumber(p.seed);
+        if (!ok) issues.push(`environment.puddles[${i}] is invalid, dropped`);
+        return ok;
+      });
+    } else {
+      drop('puddles', 'is not an array');
+    }
+  }
+  return result;
+}
+
+/**
+ * Migrate and validate a raw scene document.
+ * Returns { state, issues } where issues lists every repair that was made.
+ * Throws SceneValidationError if the document can't be used at all.
+ */
+export function normalizeSceneState(raw) {
+  if (!isPlainObject(raw)) {
+    throw new SceneValidationError(`Scene must be a JSON object, got ${Array.isArray(raw) ? 'array' : typeof raw}`);
+  }
+
+  const doc = migrateSceneState(raw);
+  const issues = [];
+
+  if (!isPlainObject(doc.transforms)) {
+    throw new SceneValidationError('Scene has no "transforms" object', issues);
+  }
+  const transforms = validateTransforms(doc.transforms, issues);
+
+  let spawned = doc.spawned;
+  if (spawned === undefined) {
+    spawned = [];
+  } else if (!Array.isArray(spawned)) {
+    issues.push('spawned is not an array, ignored');
+    spawned = [];
+  }
+
+  const state = {
+    ...doc,
+    schemaVersion: SCENE_SCHEMA_VERSION,
+    transforms,
+    spawned: validateSpawned(spawned, transforms, issues),
+    names: validateNames(doc.names, issues),
+    objectFlags: validateObjectFlags(doc.objectFlags, issues),
+    ...validateCameraViews(doc, issues)
+  };
+
+  if (state.thumbnail !== undefined && !isThumbnail(state.thumbnail)) {
+    issues.push('thumbnail is not an image, dropped');
+    delete state.thumbnail;
+  }
+
+  if (state.environment !== undefined) {
+    state.environment = validateEnvironment(state.environment, issues);
+    if (state.environment === undefined) delete state.environment;
+  }
+
+  return { state, issues };
+}
+
+/**
+ * Normalize a map of named scenes (localStorage, scenes.json savedScenes).
+ * Bad scenes are skipped instead of failing the whole map.
+ * Returns { scenes, issues } with issues prefixed by scene name.
+ */
+export function normalizeSceneMap(raw) {
+  const scenes = {};
+  const issues = [];
+  if (!isPlainObject(raw)) {
+    issues.push('saved scenes is not an object, ignored');
+    return { scenes, issues };
+  }
+  for (const [name, doc] of Object.entries(raw)) {
+    try {
+      const result = normalizeSceneState(doc);
+      scenes[name] = result.state;
+      result.issues.forEach(issue => issues.push(`"${name}": ${issue}`));
+    } catch (err) {
+      issues.push(`"${name}": ${err.message} - scene skipped`);
+    }
+  }
+  return { scenes, issues };
+}
@@ -0,0 +1,296 @@
+/**
+ * Scene storage - one IndexedDB record per saved scene, plus an autosave draft
+ *
+ * openSceneStore() returns an IndexedDB-backed store, migrating the old
+ * 'lowpoly_scenes' localStorage blob on first open. If IndexedDB is not
+ * available (some private browsing modes) it falls back to a localStorage
+ * store with the same interface. If some old scenes could not be migrated, the
+ * blob is kept under 'lowpoly_scenes_backup' instead of being deleted. Write failures are thrown as
+ * SceneStorageError with `quota` set when the browser ran out of space.
+ */
+
+import { normalizeSceneMap, normalizeSceneState } from './sceneSchema.js';
+
+const DB_NAME = 'lowpoly-toon';
+const DB_VERSION = 1;
+const SCENES_STORE = 'scenes';  // { name, state, updatedAt }
+const META_STORE = 'meta';      // key/value: 'draft'
+const DRAFT_KEY = 'draft';
+
+const LEGACY_SCENES_KEY = 'lowpoly_scenes';
+const LEGACY_DRAFT_KEY = 'lowpoly_scene_draft';
+const LEGACY_BACKUP_KEY = 'lowpoly_scenes_backup';
+
+export class SceneStorageError extends Error {
+  constructor(message, { cause = null, quota = false } = {}) {
+    super(message);
+    this.name = 'SceneStorageError';
+    this.cause = cause;
+    this.quota = quota;
+  }
+}
+
+const isQuotaError = (err) => !!err && (
+  err.name === 'QuotaExceededError' ||
+  err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  err.code === 22
+);
+
+function wrapWriteError(err, what) {
+  if (err instanceof SceneStorageError) return err;
+  if (isQuotaError(err)) {
+    return new SceneStorageError(`Browser storage is full, could not save ${what}`, { cause: err, quota: true });
+  }
+  return new SceneStorageError(`Could not save ${what}: ${err?.message || err}`, { cause: err });
+}
+
+// Promisify an IDBRequest
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Resolve when a transaction commits (quota errors surface here, not on the request)
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+// Read the legacy localStorage blob without letting one corrupt value break the editor
+function readLegacyScenes() {
+  const stored = localStorage.getItem(LEGACY_SCENES_KEY);
+  if (!stored) return { scenes: {}, issues: [], total: 0 };
+  try {
+    const raw = JSON.parse(stored);
+    const total = raw !== null && typeof raw === 'object' ? Object.keys(raw).length : 0;
+    return { ...normalizeSceneMap(raw), total };
+  } catch (err) {
+    return { scenes: {}, issues: [`saved scenes are not valid JSON (${err.message}), ignored`], corrupt: true };
+  }
+}
+
+// Retire the legacy blob after a migration. Only delete it when every scene made it
+// across; otherwise move it to a backup key (or leave it where it is if that fails)
+function retireLegacyScenes(skipped) {
+  if (skipped === 0) {
+    localStorage.removeItem(LEGACY_SCENES_KEY);
+    return null;
+  }
+  try {
+    localStorage.setItem(LEGACY_BACKUP_KEY, localStorage.getItem(LEGACY_SCENES_KEY));
+    localStorage.removeItem(LEGACY_SCENES_KEY);
+    return LEGACY_BACKUP_KEY;
+  } catch (err) {
+    return LEGACY_SCENES_KEY;
+  }
+}
+
+class IndexedDBSceneStore {
+  constructor(db) {
+    this.db = db;
+    this.kind = 'indexeddb';
+  }
+
+  static open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SCENES_STORE)) {
+          db.createObjectStore(SCENES_STORE, { keyPath: 'name' });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(new IndexedDBSceneStore(request.result));
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB is blocked by another tab'));
+    });
+  }
+
+  // Move scenes from the old localStorage blob into one record each (runs once)
+  async migrateFromLocalStorage() {
+    const legacy = readLegacyScenes();
+    const names = Object.keys(legacy.scenes);
+    if (legacy.corrupt) {
+      // Leave the corrupt value in place so nothing is lost, but don't load it
+      return { migrated: [], skipped: 0, issues: legacy.issues };
+    }
+    if (names.length === 0) {
+      const backupKey = retireLegacyScenes(legacy.total);
+      return { migrated: [], skipped: legacy.total, backupKey, issues: legacy.issues };
+    }
+
+    const existing = new Set(await requestToPromise(
+      this.db.transaction(SCENES_STORE).objectStore(SCENES_STORE).getAllKeys()
+    ));
+    const tx = this.db.transaction(SCENES_STORE, 'readwrite');
+    const store = tx.objectStore(SCENES_STORE);
+    const migrated = names.filter(name => !existing.has(name));
+    existing.forEach(name => {
+      if (legacy.scenes[name]) legacy.issues.push(`"${name}": a scene with this name is already stored - not migrated`);
+    });
+    migrated.forEach(name => store.put({ name, state: legacy.scenes[name], updatedAt: Date.now() }));
+
+    try {
+      await transactionDone(tx);
+    } catch (err) {
+      throw wrapWriteError(err, 'scenes migrated from localStorage');
+    }
+    // Scenes that failed validation or clashed with a stored name
+    const skipped = legacy.total - migrated.length;
+    const backupKey = retireLegacyScenes(skipped);
+    return { migrated, skipped, backupKey, issues: legacy.issues };
+  }
+
+  async loadScenes() {
+    const records = await requestToPromise(
+      this.db.transaction(SCENES_STORE).objectStore(SCENES_STORE).getAll()
+    );
+    const raw = {};
+    records.forEach(record => { raw[record.name] = record.state; });
+    return normalizeSceneMap(raw);
+  }
+
+  async putScene(name, state) {
+    const tx = this.db.transaction(SCENES_STORE, 'readwrite');
+    tx.objectStore(SCENES_STORE).put({ name, state, updatedAt: Date.now() });
+    try {
+      await transactionDone(tx);
+    } catch (err) {
+      throw wrapWriteError(err, `scene "${name}"`);
+    }
+  }
+
+  async deleteScene(name) {
+    const tx = this.db.transaction(SCENES_STORE, 'readwrite');
+    tx.objectStore(SCENES_STORE).delete(name);
+    await transactionDone(tx);
+  }
+
+  async saveDraft(draft) {
+    const tx = this.db.transaction(META_STORE, 'readwrite');
+    tx.objectStore(META_STORE).put(draft, DRAFT_KEY);
+    try {
+      await transactionDone(tx);
+    } catch (err) {
+      throw wrapWriteError(err, 'autosave draft');
+    }
+  }
+
+  async loadDraft() {
+    const draft = await requestToPromise(
+      this.db.transaction(META_STORE).objectStore(META_STORE).get(DRAFT_KEY)
+    );
+    return validateDraft(draft);
+  }
+
+  async clearDraft() {
+    const tx = this.db.transaction(META_STORE, 'readwrite');
+    tx.objectStore(META_STORE).delete(DRAFT_KEY);
+    await transactionDone(tx);
+  }
+}
+
+// Fallback when IndexedDB is unavailable: same interface, one localStorage blob
+class LocalStorageSceneStore {
+  constructor() {
+    this.kind = 'localstorage';
+    this.scenes = {};
+  }
+
+  async migrateFromLocalStorage() {
+    const legacy = readLegacyScenes();
+    this.scenes = legacy.scenes;
+    return { migrated: [], skipped: 0, issues: legacy.issues };
+  }
+
+  async loadScenes() {
+    return { scenes: { ...this.scenes }, issues: [] };
+  }
+
+  write(key, value, what) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+      throw wrapWriteError(err, what);
+    }
+  }
+
+  async putScene(name, state) {
+    const previous = this.scenes[name];
+    this.scenes[name] = state;
+    try {
+      this.write(LEGACY_SCENES_KEY, this.scenes, `scene "${name}"`);
+    } catch (err) {
+      // Keep the in-memory copy in sync with what is actually stored
+      if (previous) this.scenes[name] = previous; else delete this.scenes[name];
+      throw err;
+    }
+  }
+
+  async deleteScene(name) {
+    delete this.scenes[name];
+    this.write(LEGACY_SCENES_KEY, this.scenes, 'scene list');
+  }
+
+  async saveDraft(draft) {
+    this.write(LEGACY_DRAFT_KEY, draft, 'autosave draft');
+  }
+
+  async loadDraft() {
+    try {
+      return validateDraft(JSON.parse(localStorage.getItem(LEGACY_DRAFT_KEY)));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async clearDraft() {
+    localStorage.removeItem(LEGACY_DRAFT_KEY);
+  }
+}
+
+// A draft is { state, sceneName, savedAt }; anything unusable is treated as no draft
+function validateDraft(draft) {
+  if (!draft || typeof draft !== 'object' || !draft.state) return null;
+  try {
+    return { ...draft, state: normalizeSceneState(draft.state).state };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Open the best available store and migrate legacy data into it.
+ * Returns { store, scenes, issues, migration } where migration.skipped counts
+ * old scenes left behind in localStorage under migration.backupKey.
+ */
+export async function openSceneStore() {
+  let store;
+  try {
+    if (typeof indexedDB === 'undefined') throw new Error('IndexedDB not supported');
+    store = await IndexedDBSceneStore.open();
+  } catch (err) {
+    console.warn('IndexedDB unavailable, storing scenes in localStorage:', err.message || err);
+    store = new LocalStorageSceneStore();
+  }
+
+  let migration;
+  try {
+    migration = await store.migrateFromLocalStorage();
+  } catch (err) {
+    // Old scenes stay in localStorage, so keep using them from there
+    console.error('Scene migration to IndexedDB failed:', err);
+    store = new LocalStorageSceneStore();
+    migration = await store.migrateFromLocalStorage();
+    migration.issues.unshift(`${err.message} - still using localStorage`);
+  }
+  if (migration.migrated.length > 0) {
+    console.log(`Migrated ${migration.migrated.length} scene(s) from localStorage to IndexedDB`);
+  }
+  const { scenes, issues } = await store.loadScenes();
+  return { store, scenes, issues: [...migration.issues, ...issues], migration };
+}